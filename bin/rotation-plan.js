@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+// Plan rotations from the command line, e.g.
+//   rotation-plan roster.csv --periods 4 --period-length 10 --on-field 5
+// The roster is a CSV/TSV file in the app's import format (or a JSON array of players);
+// pass "-" to read it from stdin. Prints a table, or the full schedule with --json.
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { generateRotations, parsePositionTemplate } from '../src/lib/scheduler.js';
+import { optimizeSchedule, scoreSchedule } from '../src/lib/optimizer.js';
+import { parseRoster, getImportablePlayers } from '../src/lib/rosterImport.js';
+import { formatTime, parseTime, parseTimeList } from '../src/lib/format.js';
+
+const USAGE = `Usage: rotation-plan <roster.csv|roster.json|-> [options]
+
+Options:
+  --periods <n>             Number of periods (default 4)
+  --period-length <min>     Period length in minutes (default 10)
+  --on-field <n>            Players on the field (default 5, or the positions total)
+  --rotation-length <min>   Fixed rotation length in minutes (default: calculated)
+  --positions <template>    Lineup positions, e.g. "GK:1, DEF:2, FWD:2"
+  --rolling                 Rolling substitutions instead of full line changes
+  --subs-per-change <n>     Players swapped per rolling substitution (default 2)
+  --split <n>               Substitute only at n equal parts of each period
+  --sub-times <times>       Substitute only at these times into each period (time played),
+                            e.g. "4:00,7:30";
+                            separate periods with ";" (periods left out use the first list)
+  --arrive <times>          Late arrivals at times into the game, e.g. "Ana=10:00,Ben=20:00"
+  --leave <times>           Early departures at times into the game, e.g. "Cal=20:00"
+  --skill-scale <n>         Highest skill rating in the roster (default 5)
+  --optimize                Improve the schedule with local search (line changes only)
+  --time-budget <seconds>   How long --optimize searches (default 3)
+  --json                    Print the schedule as JSON
+  -h, --help                Show this help`;
+
+const fail = (message) => {
+  console.error(`rotation-plan: ${message}\n\n${USAGE}`);
+  process.exit(1);
+};
+
+// Positive number option, or the fallback when it was not given
+const numberOption = (values, name, fallback) => {
+  if (values[name] === undefined) return fallback;
+  const value = Number(values[name]);
+  if (!(value > 0)) fail(`--${name} must be a positive number`);
+  return value;
+};
+
+// "Ana=10:00,Ben=20:00" as [name, seconds] pairs
+const parsePlayerTimes = (text, name) => text.split(',').filter(entry => entry.trim()).map(entry => {
+  const idx = entry.lastIndexOf('=');
+  const time = idx === -1 ? null : parseTime(entry.slice(idx + 1));
+  if (time === null) fail(`--${name} must be name=m:ss entries separated by commas`);
+  return [entry.slice(0, idx).trim(), time];
+});
+
+const readRoster = (file, skillScale) => {
+  const text = readFileSync(file === '-' ? 0 : file, 'utf8');
+  if (file.endsWith('.json')) return JSON.parse(text);
+
+  const { rows } = parseRoster(text, { skillScale });
+  rows
+    .filter(row => row.errors.length > 0 || row.duplicate)
+    .forEach(row => console.error(
+      `rotation-plan: skipping line ${row.lineNumber}: ${[...row.errors, ...(row.duplicate ? ['duplicate name'] : [])].join('; ')}`
+    ));
+  return getImportablePlayers(rows);
+};
+
+const printTable = ({ rotations, stats, violations }) => {
+  const rows = rotations.flat().map(rotation => [
+    `P${rotation.period} R${rotation.rotationNumber}`,
+    `${formatTime(rotation.startTime)}-${formatTime(rotation.endTime)}`,
+    String(rotation.skillTotal),
+    rotation.players.map(p => (p.position ? `${p.name} (${p.position}${p.outOfPosition ? '!' : ''})` : p.name)).join(', ')
+  ]);
+  const header = ['Rotation', 'Time', 'Strength', 'Players'];
+  const widths = header.map((title, idx) => Math.max(title.length, ...rows.map(row => row[idx].length)));
+  const line = (cells) => cells.map((cell, idx) => cell.padEnd(widths[idx])).join('  ').trimEnd();
+
+  console.log(line(header));
+  console.log(line(widths.map(width => '-'.repeat(width))));
+  rows.forEach(row => console.log(line(row)));
+
+  console.log(`\nTarget ${stats.targetMinutesPerPlayer.toFixed(1)} min per player, ` +
+    `largest difference ${stats.maxTimeDifference.toFixed(1)} min`);
+  Object.entries(stats.playerStats)
+    .sort((a, b) => b[1].totalMinutes - a[1].totalMinutes)
+    .forEach(([name, playerStats]) => {
+      const target = playerStats.availableMinutes < stats.totalGameTime
+        ? `  (target ${playerStats.targetMinutes.toFixed(1)} of ${playerStats.availableMinutes.toFixed(0)} min there)`
+        : '';
+      console.log(`  ${name.padEnd(20)} ${playerStats.totalMinutes.toFixed(1).padStart(5)} min  ${playerStats.percentageOfGame}%${target}`);
+    });
+  violations.forEach(violation => console.log(`Rule not met: ${violation.message}`));
+};
+
+const main = async () => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        periods: { type: 'string' },
+        'period-length': { type: 'string' },
+        'on-field': { type: 'string' },
+        'rotation-length': { type: 'string' },
+        positions: { type: 'string' },
+        rolling: { type: 'boolean' },
+        'subs-per-change': { type: 'string' },
+        split: { type: 'string' },
+        'sub-times': { type: 'string' },
+        arrive: { type: 'string' },
+        leave: { type: 'string' },
+        'skill-scale': { type: 'string' },
+        optimize: { type: 'boolean' },
+        'time-budget': { type: 'string' },
+        json: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    fail(error.message);
+  }
+  const { values, positionals } = parsed;
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (positionals.length !== 1) fail('expected one roster file');
+
+  const positionTemplate = values.positions ? parsePositionTemplate(values.positions) : [];
+  const positionsTotal = positionTemplate.reduce((sum, { count }) => sum + count, 0);
+  const periods = Math.floor(numberOption(values, 'periods', 4));
+  const periodLength = Math.round(numberOption(values, 'period-length', 10) * 60);
+  const playersOnField = positionsTotal || Math.floor(numberOption(values, 'on-field', 5));
+  const rotationLength = numberOption(values, 'rotation-length', null);
+  const skillScale = Math.floor(numberOption(values, 'skill-scale', 5));
+
+  let players;
+  try {
+    players = readRoster(positionals[0], skillScale);
+  } catch (error) {
+    fail(`could not read ${positionals[0]}: ${error.message}`);
+  }
+  if (players.length < playersOnField) {
+    fail(`the roster has ${players.length} players but ${playersOnField} are needed on the field`);
+  }
+
+  if (values.optimize && values.rolling) fail('--optimize only works with full line changes');
+
+  let substitutionWindows;
+  if (values['sub-times'] !== undefined) {
+    const lists = values['sub-times'].split(';').map(list => parseTimeList(list, periodLength));
+    const problem = lists.find(list => list.error);
+    if (problem) fail(`--sub-times ${problem.error}`);
+    // An empty list after the first means that period uses the first one
+    substitutionWindows = { mode: 'times', times: lists.map((list, idx) => (idx > 0 && list.times.length === 0 ? null : list.times)) };
+  } else if (values.split !== undefined) {
+    substitutionWindows = { mode: 'split', parts: Math.floor(numberOption(values, 'split', 1)) };
+  }
+
+  const availability = {};
+  parsePlayerTimes(values.arrive ?? '', 'arrive').forEach(([name, time]) => {
+    availability[name] = { from: time, to: null };
+  });
+  parsePlayerTimes(values.leave ?? '', 'leave').forEach(([name, time]) => {
+    availability[name] = { from: availability[name]?.from ?? 0, to: time };
+  });
+  const unknown = Object.keys(availability).filter(name => !players.some(p => p.name === name));
+  if (unknown.length > 0) fail(`not on the roster: ${unknown.join(', ')}`);
+
+  const greedy = generateRotations(
+    players,
+    playersOnField,
+    periods,
+    periodLength,
+    rotationLength ? Math.round(rotationLength * 60) : null,
+    {
+      positionTemplate,
+      substitutionMode: values.rolling ? 'rolling' : 'line',
+      subsPerChange: Math.floor(numberOption(values, 'subs-per-change', 2)),
+      substitutionWindows,
+      availability
+    }
+  );
+
+  let schedule = greedy;
+  if (values.optimize) {
+    const timeBudget = numberOption(values, 'time-budget', 3) * 1000;
+    const optimized = await optimizeSchedule(greedy, players, { timeBudget });
+    const greedyScore = scoreSchedule(greedy);
+    schedule = optimized.score.total < greedyScore.total ? optimized.schedule : greedy;
+    // Keep stdout clean for --json
+    const describe = (score) => `score ${score.total.toFixed(1)}: spread ${score.timeSpread.toFixed(1)} min, ` +
+      `strength deviation ${score.skillImbalance.toFixed(1)}, ${score.outOfPosition} out of position, ${score.violations} rules not met`;
+    console.error(`Greedy    ${describe(greedyScore)}`);
+    console.error(`Optimized ${describe(optimized.score)} (${optimized.iterations} changes tried)`);
+  }
+
+  if (values.json) {
+    console.log(JSON.stringify(schedule, null, 2));
+  } else {
+    printTable(schedule);
+  }
+};
+
+main();
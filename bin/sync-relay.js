@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// WebSocket relay for syncing a live game between devices on the same network, e.g.
+//   sync-relay --port 8787
+// then enter ws://<this computer's address>:8787 as the relay in each device's sync settings.
+// An app opened over https can only reach a wss:// relay: pass --cert and --key to serve TLS.
+// Every message is passed on to all other connected devices; nothing is stored.
+import { readFileSync } from 'node:fs';
+import { createServer } from 'node:https';
+import { parseArgs } from 'node:util';
+import { networkInterfaces } from 'node:os';
+import { WebSocketServer, WebSocket } from 'ws';
+
+const USAGE = `Usage: sync-relay [options]
+
+Options:
+  --port <n>       Port to listen on (default 8787)
+  --cert <file>    TLS certificate (PEM), to serve wss:// for apps opened over https
+  --key <file>     TLS private key (PEM) for --cert
+  -h, --help       Show this help`;
+
+const fail = (message) => {
+  console.error(`sync-relay: ${message}\n\n${USAGE}`);
+  process.exit(1);
+};
+
+// Addresses other devices on the LAN can reach this one at
+const getLanAddresses = () =>
+  Object.values(networkInterfaces())
+    .flat()
+    .filter(address => address.family === 'IPv4' && !address.internal)
+    .map(address => address.address);
+
+const main = () => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      options: {
+        port: { type: 'string' },
+        cert: { type: 'string' },
+        key: { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    fail(error.message);
+  }
+  const { values } = parsed;
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  const port = values.port === undefined ? 8787 : Number(values.port);
+  if (!Number.isInteger(port) || port <= 0) fail('--port must be a port number');
+
+  if (Boolean(values.cert) !== Boolean(values.key)) fail('--cert and --key go together');
+
+  let tlsServer = null;
+  if (values.cert) {
+    try {
+      tlsServer = createServer({ cert: readFileSync(values.cert), key: readFileSync(values.key) });
+    } catch (error) {
+      fail(`could not load the certificate: ${error.message}`);
+    }
+  }
+  const scheme = tlsServer ? 'wss' : 'ws';
+  const server = tlsServer ? new WebSocketServer({ server: tlsServer }) : new WebSocketServer({ port });
+  server.on('connection', (socket) => {
+    socket.on('message', (data, isBinary) => {
+      server.clients.forEach(client => {
+        if (client !== socket && client.readyState === WebSocket.OPEN) client.send(data, { binary: isBinary });
+      });
+    });
+  });
+  const listener = tlsServer || server;
+  listener.on('error', (error) => fail(error.message));
+  listener.on('listening', () => {
+    console.log(`Relay listening on port ${port}`);
+    ['localhost', ...getLanAddresses()].forEach(address => console.log(`  ${scheme}://${address}:${port}`));
+  });
+  tlsServer?.listen(port);
+};
+
+main();
@@ -29,10 +29,19 @@ export default [
       ...react.configs['jsx-runtime'].rules,
       ...reactHooks.configs.recommended.rules,
       'react/jsx-no-target-blank': 'off',
+      // The app doesn't use the prop-types package, so runtime prop checks aren't wanted; the
+      // baseline ui components never declared them either
+      'react/prop-types': 'off',
       'react-refresh/only-export-components': [
         'warn',
         { allowConstantExport: true },
       ],
     },
   },
+  {
+    files: ['bin/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
@@ -1,12 +1,76 @@
-import React from 'react';
+import { useState, useEffect } from 'react';
 import RotationManager from './components/RotationManager';
+import TeamSwitcher from './components/TeamSwitcher';
+import ScheduleViewer from './components/ScheduleViewer';
+import UpdatePrompt from './components/UpdatePrompt';
+import { loadState, saveState, STORAGE_KEYS } from './lib/storage';
+import { loadTeams, createTeam, initTeamData, clearTeamData } from './lib/teams';
+import { isShareLink } from './lib/share';
+import { getDefaultFormat } from './lib/presets';
+
+function Teams() {
+  const [teamStore, setTeamStore] = useState(loadTeams);
+  const activeTeam = teamStore.teams.find(team => team.id === teamStore.activeId) || teamStore.teams[0];
+
+  useEffect(() => {
+    saveState(STORAGE_KEYS.teams, teamStore);
+  }, [teamStore]);
+
+  const updateTeam = (teamId, changes) => {
+    setTeamStore(store => ({
+      ...store,
+      teams: store.teams.map(team => (team.id === teamId ? { ...team, ...changes } : team))
+    }));
+  };
+
+  // A new team takes the current team's default preset and starts with its game format
+  const addTeam = (name) => {
+    const team = createTeam(name, activeTeam.defaultPresetId);
+    const { custom } = loadState(STORAGE_KEYS.presets, { custom: [] });
+    initTeamData(team.id, getDefaultFormat(custom, team.defaultPresetId));
+    setTeamStore(store => ({ teams: [...store.teams, team], activeId: team.id }));
+  };
+
+  const deleteTeam = (teamId) => {
+    const team = teamStore.teams.find(t => t.id === teamId);
+    if (!window.confirm(`Delete ${team.name} with its roster and season history?`)) return;
+    clearTeamData(teamId);
+    const teams = teamStore.teams.filter(t => t.id !== teamId);
+    setTeamStore({ teams, activeId: teams[0].id });
+  };
 
-function App() {
   return (
     <div className="min-h-screen bg-gray-50">
-      <RotationManager />
+      <div className="max-w-6xl mx-auto px-8 pt-8 print:hidden">
+        <TeamSwitcher
+          key={activeTeam.id}
+          teams={teamStore.teams}
+          activeId={activeTeam.id}
+          onSwitch={(activeId) => setTeamStore(store => ({ ...store, activeId }))}
+          onAdd={addTeam}
+          onRename={(teamId, name) => updateTeam(teamId, { name })}
+          onDelete={deleteTeam}
+        />
+      </div>
+      {/* Each team gets a fresh manager that loads that team's roster, settings and games */}
+      <RotationManager
+        key={activeTeam.id}
+        team={activeTeam}
+        teams={teamStore.teams}
+        onTeamChange={(changes) => updateTeam(activeTeam.id, changes)}
+      />
     </div>
   );
 }
 
+function App() {
+  return (
+    <>
+      {/* Share links open a read-only viewer and leave the coach's own teams alone */}
+      {isShareLink(window.location.hash) ? <ScheduleViewer hash={window.location.hash} /> : <Teams />}
+      <UpdatePrompt />
+    </>
+  );
+}
+
 export default App;
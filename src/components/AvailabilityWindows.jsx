@@ -0,0 +1,81 @@
+// File: src/components/AvailabilityWindows.jsx
+import { useState } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { formatTime, parseTime } from '../lib/format';
+
+// Players arriving late or leaving early: { [name]: { from, to } } in game seconds, `to` null for the end
+const AvailabilityWindows = ({ players, availability, totalGameTime, onChange }) => {
+  const [name, setName] = useState('');
+  const [arrives, setArrives] = useState('');
+  const [leaves, setLeaves] = useState('');
+
+  // Blank times mean the start and the end of the game
+  const from = arrives.trim() ? parseTime(arrives) : 0;
+  const to = leaves.trim() ? parseTime(leaves) : null;
+  const isValid = Boolean(name) && from !== null && (!leaves.trim() || to !== null) &&
+    from < (to ?? totalGameTime) && (from > 0 || (to !== null && to < totalGameTime));
+
+  const addWindow = () => {
+    if (!isValid) return;
+    onChange({ ...availability, [name]: { from, to: to !== null && to >= totalGameTime ? null : to } });
+    setName('');
+    setArrives('');
+    setLeaves('');
+  };
+
+  const removeWindow = (playerName) => {
+    const rest = { ...availability };
+    delete rest[playerName];
+    onChange(rest);
+  };
+
+  return (
+    <div className="space-y-2">
+      {Object.entries(availability).map(([playerName, span]) => (
+        <div key={playerName} className="flex items-center justify-between text-sm bg-gray-50 px-2 py-1 rounded">
+          <span>
+            {playerName}: {span.from > 0 ? `arrives ${formatTime(span.from)}` : 'from the start'},
+            {' '}{span.to !== null ? `leaves ${formatTime(span.to)}` : 'until the end'}
+          </span>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => removeWindow(playerName)}
+            className="text-gray-600 hover:text-red-600"
+          >
+            Remove
+          </Button>
+        </div>
+      ))}
+      <div className="flex flex-wrap items-center gap-2">
+        <select className="px-2 py-1 text-sm border rounded-md" value={name} onChange={(e) => setName(e.target.value)}>
+          <option value="">Player</option>
+          {players.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+        </select>
+        <Input
+          value={arrives}
+          onChange={(e) => setArrives(e.target.value)}
+          placeholder="Arrives (0:00)"
+          className="w-32"
+        />
+        <Input
+          value={leaves}
+          onChange={(e) => setLeaves(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && addWindow()}
+          placeholder={`Leaves (${formatTime(totalGameTime)})`}
+          className="w-32"
+        />
+        <Button variant="outline" size="sm" onClick={addWindow} disabled={!isValid}>
+          Set
+        </Button>
+      </div>
+      <p className="text-xs text-gray-500">
+        Time into the game as m:ss, or whole minutes (&quot;20&quot; is 20:00), e.g. {formatTime(Math.floor(totalGameTime / 2))} for halftime.
+        Each player&apos;s target is their fair share of the time they are there.
+      </p>
+    </div>
+  );
+};
+
+export default AvailabilityWindows;
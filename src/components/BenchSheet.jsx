@@ -0,0 +1,86 @@
+// File: src/components/BenchSheet.jsx
+import { formatTime } from '../lib/format';
+import { getStints } from '../lib/timeline';
+
+// Print-only layout: a periods x rotations grid plus every player's in/out times
+const BenchSheet = ({ rotationSchedule }) => {
+  const { rotations, stats } = rotationSchedule;
+  const maxRotations = Math.max(...rotations.map(periodRotations => periodRotations.length));
+
+  return (
+    <div className="hidden print:block text-[10px] leading-tight text-black">
+      <h1 className="text-base font-bold mb-1">Rotation Bench Sheet</h1>
+      <p className="mb-2">
+        {rotations.length} periods &middot; {stats.totalGameTime} minutes &middot;
+        target {stats.targetMinutesPerPlayer.toFixed(1)} min per player
+      </p>
+
+      {/* Periods x Rotations Grid */}
+      <table className="w-full border-collapse mb-3">
+        <thead>
+          <tr>
+            <th className="border border-black p-1 text-left">Period</th>
+            {Array.from({ length: maxRotations }, (_, idx) => (
+              <th key={idx} className="border border-black p-1 text-left">Rotation {idx + 1}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rotations.map((periodRotations, periodIdx) => (
+            <tr key={periodIdx} className="break-inside-avoid">
+              <td className="border border-black p-1 font-semibold align-top">{periodIdx + 1}</td>
+              {Array.from({ length: maxRotations }, (_, idx) => {
+                const rotation = periodRotations[idx];
+                return (
+                  <td key={idx} className="border border-black p-1 align-top">
+                    {rotation && (
+                      <>
+                        <div className="font-semibold">
+                          {formatTime(rotation.startTime)}-{formatTime(rotation.endTime)}
+                        </div>
+                        {rotation.players.map(player => (
+                          <div key={player.name}>
+                            {player.position ? `${player.position} ` : ''}
+                            {player.jersey !== undefined ? `#${player.jersey} ` : ''}{player.name}
+                          </div>
+                        ))}
+                      </>
+                    )}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* Per-Player In/Out List */}
+      <table className="w-full border-collapse">
+        <thead>
+          <tr>
+            <th className="border border-black p-1 text-left">Player</th>
+            <th className="border border-black p-1 text-left">Minutes</th>
+            <th className="border border-black p-1 text-left">On the field (period: in-out)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(stats.playerStats)
+            .sort((a, b) => a[0].localeCompare(b[0]))
+            .map(([playerName, playerStats]) => (
+              <tr key={playerName} className="break-inside-avoid">
+                <td className="border border-black p-1 font-semibold">{playerName}</td>
+                <td className="border border-black p-1">{playerStats.totalMinutes.toFixed(1)}</td>
+                <td className="border border-black p-1">
+                  {getStints(playerStats.substitutionTimes)
+                    .map(stint => `P${stint.period}: ${formatTime(stint.start)}-${stint.end === null ? '' : formatTime(stint.end)}`)
+                    .join('   ') || 'Does not play'}
+                </td>
+              </tr>
+            ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default BenchSheet;
@@ -0,0 +1,148 @@
+// File: src/components/LineupRules.jsx
+import { useState } from 'react';
+import { Button } from './ui/button';
+
+const selectClassName = 'px-2 py-1 text-sm border rounded-md';
+
+// Pick two different players and add them as a pair
+const PairEditor = ({ label, players, pairs, onChange }) => {
+  const [first, setFirst] = useState('');
+  const [second, setSecond] = useState('');
+
+  const addPair = () => {
+    const exists = pairs.some(pair => pair.includes(first) && pair.includes(second));
+    if (!first || !second || first === second || exists) return;
+    onChange([...pairs, [first, second]]);
+    setFirst('');
+    setSecond('');
+  };
+
+  return (
+    <div className="space-y-1">
+      <h4 className="text-sm font-medium">{label}</h4>
+      {pairs.map((pair, idx) => (
+        <div key={idx} className="flex items-center justify-between text-sm bg-gray-50 px-2 py-1 rounded">
+          <span>{pair[0]} &amp; {pair[1]}</span>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => onChange(pairs.filter((_, i) => i !== idx))}
+            className="text-gray-600 hover:text-red-600"
+          >
+            Remove
+          </Button>
+        </div>
+      ))}
+      <div className="flex flex-wrap items-center gap-2">
+        <select className={selectClassName} value={first} onChange={(e) => setFirst(e.target.value)}>
+          <option value="">Player</option>
+          {players.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+        </select>
+        <select className={selectClassName} value={second} onChange={(e) => setSecond(e.target.value)}>
+          <option value="">Player</option>
+          {players.filter(p => p.name !== first).map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+        </select>
+        <Button variant="outline" size="sm" onClick={addPair} disabled={!first || !second || first === second}>
+          Add
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+// Keep-apart and keep-together pairs plus lineups pinned to specific rotations.
+// `rotationsPerPeriod` lists how many rotations each period has with the current settings.
+const LineupRules = ({ players, rotationsPerPeriod, constraints, onChange }) => {
+  const [pinPeriod, setPinPeriod] = useState(1);
+  const [pinRotation, setPinRotation] = useState('1');
+  const [pinPlayers, setPinPlayers] = useState([]);
+  // A picked period or rotation can disappear when the format changes; fall back to the first
+  const period = pinPeriod <= rotationsPerPeriod.length ? pinPeriod : 1;
+  const rotationCount = rotationsPerPeriod[period - 1] ?? 1;
+  const rotation = pinRotation === 'last' || parseInt(pinRotation, 10) <= rotationCount ? pinRotation : '1';
+
+  const update = (changes) => onChange({ ...constraints, ...changes });
+
+  const togglePinPlayer = (name) => {
+    setPinPlayers(pinPlayers.includes(name) ? pinPlayers.filter(n => n !== name) : [...pinPlayers, name]);
+  };
+
+  const addPin = () => {
+    if (pinPlayers.length === 0) return;
+    update({
+      pinned: [...constraints.pinned, { period, rotation: rotation === 'last' ? 'last' : parseInt(rotation, 10), players: pinPlayers }]
+    });
+    setPinPlayers([]);
+  };
+
+  return (
+    <div className="space-y-4">
+      <PairEditor
+        label="Keep Apart (never on together)"
+        players={players}
+        pairs={constraints.keepApart}
+        onChange={(keepApart) => update({ keepApart })}
+      />
+      <PairEditor
+        label="Keep Together (on and off together)"
+        players={players}
+        pairs={constraints.keepTogether}
+        onChange={(keepTogether) => update({ keepTogether })}
+      />
+
+      {/* Pinned Lineups */}
+      <div className="space-y-1">
+        <h4 className="text-sm font-medium">Pinned Lineups</h4>
+        {constraints.pinned.map((pin, idx) => (
+          <div key={idx} className="flex items-center justify-between text-sm bg-gray-50 px-2 py-1 rounded">
+            <span>
+              P{pin.period} {pin.rotation === 'last' ? 'final rotation' : `R${pin.rotation}`}: {pin.players.join(', ')}
+            </span>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => update({ pinned: constraints.pinned.filter((_, i) => i !== idx) })}
+              className="text-gray-600 hover:text-red-600"
+            >
+              Remove
+            </Button>
+          </div>
+        ))}
+        <div className="flex flex-wrap items-center gap-2">
+          <select className={selectClassName} value={period} onChange={(e) => setPinPeriod(parseInt(e.target.value, 10))}>
+            {rotationsPerPeriod.map((_, idx) => (
+              <option key={idx} value={idx + 1}>Period {idx + 1}</option>
+            ))}
+          </select>
+          <select className={selectClassName} value={rotation} onChange={(e) => setPinRotation(e.target.value)}>
+            {Array.from({ length: rotationCount }, (_, idx) => (
+              <option key={idx} value={idx + 1}>Rotation {idx + 1}</option>
+            ))}
+            <option value="last">Final rotation</option>
+          </select>
+        </div>
+        <div className="flex flex-wrap gap-1">
+          {players.map(player => (
+            <button
+              key={player.name}
+              type="button"
+              onClick={() => togglePinPlayer(player.name)}
+              className={`px-2 py-0.5 text-xs rounded-full border ${
+                pinPlayers.includes(player.name)
+                  ? 'bg-blue-500 border-blue-500 text-white'
+                  : 'bg-white border-gray-300 text-gray-500'
+              }`}
+            >
+              {player.name}
+            </button>
+          ))}
+        </div>
+        <Button variant="outline" size="sm" onClick={addPin} disabled={pinPlayers.length === 0}>
+          Pin {pinPlayers.length} Player{pinPlayers.length === 1 ? '' : 's'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default LineupRules;
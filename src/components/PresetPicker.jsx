@@ -0,0 +1,74 @@
+// File: src/components/PresetPicker.jsx
+import { useState } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+
+// Pick a sport/league preset to apply, save the current format as a preset, and choose the team default
+const PresetPicker = ({ presets, defaultPresetId, onApply, onSave, onDelete, onSetDefault }) => {
+  const [selectedId, setSelectedId] = useState(defaultPresetId);
+  const [name, setName] = useState('');
+  const selected = presets.find(preset => preset.id === selectedId);
+
+  const savePreset = () => {
+    if (!name.trim()) return;
+    setSelectedId(onSave(name.trim()));
+    setName('');
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={selected ? selectedId : ''}
+          onChange={(e) => setSelectedId(e.target.value)}
+          className="px-2 py-1 text-sm border rounded-md"
+        >
+          {!selected && <option value="">Choose a preset</option>}
+          {presets.map(preset => (
+            <option key={preset.id} value={preset.id}>
+              {preset.name}{preset.id === defaultPresetId ? ' (default)' : ''}
+            </option>
+          ))}
+        </select>
+        <Button size="sm" onClick={() => onApply(selected)} disabled={!selected}>
+          Apply
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => onSetDefault(selectedId)}
+          disabled={!selected || selectedId === defaultPresetId}
+        >
+          Make Default
+        </Button>
+        {selected?.custom && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => {
+              onDelete(selectedId);
+              setSelectedId(defaultPresetId === selectedId ? '' : defaultPresetId);
+            }}
+            className="text-gray-600 hover:text-red-600"
+          >
+            Delete
+          </Button>
+        )}
+      </div>
+      <div className="flex items-center gap-2">
+        <Input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && savePreset()}
+          placeholder="Name for the current settings"
+          className="flex-1"
+        />
+        <Button variant="outline" size="sm" onClick={savePreset} disabled={!name.trim()}>
+          Save as Preset
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default PresetPicker;
@@ -0,0 +1,28 @@
+// File: src/components/QrCode.jsx
+import { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+
+// QR code image of `text`, e.g. a share link to show on a phone at the bench
+const QrCode = ({ text, size = 256 }) => {
+  const [image, setImage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    QRCode.toDataURL(text, { width: size, margin: 1 })
+      .then(url => {
+        if (!cancelled) {
+          setImage(url);
+          setError(null);
+        }
+      })
+      // Very large schedules can exceed what a QR code holds
+      .catch(() => !cancelled && setError('This link is too long for a QR code - send it as a link instead.'));
+    return () => { cancelled = true; };
+  }, [text, size]);
+
+  if (error) return <p className="text-sm text-red-600">{error}</p>;
+  return image ? <img src={image} alt="QR code of the share link" width={size} height={size} /> : null;
+};
+
+export default QrCode;
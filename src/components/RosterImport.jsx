@@ -0,0 +1,125 @@
+// File: src/components/RosterImport.jsx
+import { useState } from 'react';
+import { Button } from './ui/button';
+import { parseRoster, getImportablePlayers } from '../lib/rosterImport';
+
+// Paste or upload a CSV/TSV roster, review the parsed rows, then add them on confirm
+const RosterImport = ({ players, skillScale, onImport }) => {
+  const [text, setText] = useState('');
+  const [preview, setPreview] = useState(null);
+
+  const showPreview = (rosterText) => {
+    setPreview(parseRoster(rosterText, { existingPlayers: players, skillScale }));
+  };
+
+  const handleFileUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setText(reader.result);
+      showPreview(reader.result);
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  const confirmImport = () => {
+    onImport(getImportablePlayers(preview.rows));
+    setText('');
+    setPreview(null);
+  };
+
+  const importableCount = preview ? getImportablePlayers(preview.rows).length : 0;
+
+  return (
+    <div className="space-y-2">
+      <textarea
+        className="w-full h-24 px-3 py-2 text-sm border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        placeholder="Example:
+Name, Number, Skill, Positions, Notes
+John Smith, 12, 4, GK/DEF, Left footed
+Jane Doe, 7, 3, FWD"
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          setPreview(null);
+        }}
+      />
+      <div className="flex flex-wrap items-center gap-2">
+        <Button variant="outline" size="sm" onClick={() => showPreview(text)} disabled={!text.trim()}>
+          Preview Import
+        </Button>
+        <label className="text-sm text-blue-600 cursor-pointer hover:underline">
+          Upload CSV/TSV file
+          <input type="file" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values" className="hidden" onChange={handleFileUpload} />
+        </label>
+      </div>
+
+      {/* Parsed Preview */}
+      {preview && (
+        <div className="border rounded-md p-2 space-y-2">
+          {preview.rows.length === 0 ? (
+            <p className="text-sm text-gray-500 italic">Nothing to import</p>
+          ) : (
+            <div className="max-h-48 overflow-y-auto">
+              <table className="w-full text-xs border-collapse">
+                <thead>
+                  <tr className="text-left text-gray-600">
+                    <th className="p-1">Line</th>
+                    <th className="p-1">Name</th>
+                    <th className="p-1">#</th>
+                    <th className="p-1">Skill</th>
+                    <th className="p-1">Positions</th>
+                    <th className="p-1">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map((row, idx) => {
+                    const problems = [
+                      ...row.errors,
+                      ...(row.duplicate === 'roster' ? ['Already on the roster'] : []),
+                      ...(row.duplicate === 'import' ? ['Listed twice'] : [])
+                    ];
+                    return (
+                      <tr
+                        key={idx}
+                        className={problems.length > 0 ? 'bg-red-50' : row.warnings.length > 0 ? 'bg-yellow-50' : ''}
+                        title={row.player.notes || ''}
+                      >
+                        <td className="p-1 text-gray-400">{row.lineNumber}</td>
+                        <td className="p-1">{row.player.name}</td>
+                        <td className="p-1">{row.player.jersey ?? ''}</td>
+                        <td className="p-1">{row.player.skill}</td>
+                        <td className="p-1">{(row.player.positions || []).join(', ')}</td>
+                        <td className="p-1">
+                          {problems.length > 0 ? (
+                            <span className="text-red-600">{problems.join('; ')}</span>
+                          ) : row.warnings.length > 0 ? (
+                            <span className="text-yellow-700">{row.warnings.join('; ')}</span>
+                          ) : (
+                            <span className="text-green-600">OK</span>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <div className="flex space-x-2">
+            <Button size="sm" onClick={confirmImport} disabled={importableCount === 0}>
+              Import {importableCount} Player{importableCount === 1 ? '' : 's'}
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => setPreview(null)}>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RosterImport;
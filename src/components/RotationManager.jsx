@@ -1,303 +1,1109 @@
 // File: src/components/RotationManager.jsx
-import React, { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
 import { Button } from './ui/button';
 import { Input } from './ui/input';
-import { Timer, Plus, Minus, Play, Pause, RotateCcw } from 'lucide-react';
+import { Timer, Plus, Minus, Play, Pause, RotateCcw, Download, Printer, Bell, Share2, Undo2, Redo2 } from 'lucide-react';
+import BenchSheet from './BenchSheet';
+import RosterImport from './RosterImport';
+import LineupRules from './LineupRules';
+import AvailabilityWindows from './AvailabilityWindows';
+import PresetPicker from './PresetPicker';
+import QrCode from './QrCode';
+import ScheduleTimeline from './ScheduleTimeline';
+import { loadState, saveState, loadTabState, saveTabState, clearState, teamKey, STORAGE_KEYS } from '../lib/storage';
+import { copyPlayerToTeam } from '../lib/teams';
+import { encodeShareLink } from '../lib/share';
+import { createScoringEvent, getScore, getPlayerPlusMinus, getLineupPlusMinus, rankRotations } from '../lib/scoring';
+import { createHistory, recordAction, undoAction, redoAction } from '../lib/history';
+import { DEFAULT_SYNC_SETTINGS, createDeviceId, openSyncChannel, createStateMessage, clockFromMessage } from '../lib/liveSync';
+import { formatTime, parseTime, parseTimeList } from '../lib/format';
+import { scheduleToCsv, substitutionsToCsv, plannedVsActualToCsv, downloadFile } from '../lib/export';
+import { createClock, getClockTime, startClock, stopClock, setClockTime, getPeriodEnd } from '../lib/gameClock';
+import {
+  DEFAULT_ALERT_SETTINGS,
+  unlockAudio,
+  playBeep,
+  vibrate,
+  showNotification,
+  requestNotificationPermission,
+  notificationsSupported,
+  parseAlertOffsets,
+  describeChange,
+  getDueAlerts,
+  getChangeDueAtStop
+} from '../lib/alerts';
+import { createSeasonGame, summarizeSeason, getPlayersBehind } from '../lib/season';
+import {
+  parsePositionTemplate,
+  formatPositionTemplate,
+  getLineupStrength,
+  getRotationPosition,
+  isPlayerAvailable,
+  getWindowAbsences,
+  getSubstitutionTimes,
+  calculateOptimalRotationDuration,
+  EMPTY_CONSTRAINTS,
+  removePlayerFromConstraints,
+  DEFAULT_SUBSTITUTION_WINDOWS,
+  generateRotations,
+  moveScheduledPlayer,
+  recalculateSchedule
+} from '../lib/scheduler';
+import { optimizeSchedule, scoreSchedule } from '../lib/optimizer';
+import { DEFAULT_PRESET_ID, getAllPresets, getDefaultFormat, createPreset } from '../lib/presets';
+import { getActualLineup, withKickoffEntry, getPlannedChange, comparePlannedToActual } from '../lib/substitutionLog';
 
-// Helper function to calculate optimal rotation duration
-const calculateOptimalRotationDuration = (totalPlayers, playersOnField, periodLength) => {
-  const minimumRotationsNeeded = Math.ceil(totalPlayers / playersOnField);
-  const optimalDuration = Math.floor(periodLength / minimumRotationsNeeded);
-  
-  return {
-    recommendedDuration: optimalDuration,
-    rotationsPerPeriod: minimumRotationsNeeded,
-    rotationLengthMinutes: optimalDuration / 60
-  };
+// Players rated in the top part of the scale are highlighted as strong
+const isStrongPlayer = (player, skillScale) => player.skill > (skillScale + 1) / 2;
+
+// Game time a saved clock has reached, stopping at the period end like the live clock does
+const getSavedClockTime = (savedGame) => {
+  const { clock, rotationSchedule } = savedGame;
+  const time = getClockTime(clock);
+  return Math.floor(clock.running ? Math.min(time, getPeriodEnd(clock, rotationSchedule.settings.periodLength)) : time);
 };
 
-// Utility function for time formatting
-const formatTime = (seconds) => {
-  const mins = Math.floor(seconds / 60);
-  const secs = seconds % 60;
-  return `${mins}:${secs.toString().padStart(2, '0')}`;
+// Why a scoreboard time (time left in the period) can't be used, or null when it can
+const getScoreboardTimeError = (text, periodLength) => {
+  if (!text.trim()) return null;
+  const remaining = parseTime(text);
+  if (remaining === null) return 'Not a time (m:ss or whole minutes)';
+  if (remaining > periodLength) return `More than the ${formatTime(periodLength)} period`;
+  return null;
 };
-// Main rotation generation function with skill balancing
-const generateRotations = (players, playersOnField, periods, periodLength, overrideRotationDuration = null) => {
-  const totalPlayers = players.length;
-  const totalGameTime = periods * periodLength;
-  
-  const optimal = calculateOptimalRotationDuration(totalPlayers, playersOnField, periodLength);
-  const rotationDuration = overrideRotationDuration || optimal.recommendedDuration;
-  const rotationsPerPeriod = Math.floor(periodLength / rotationDuration);
-  
-  const rotations = [];
-  const playerStats = new Map(players.map(player => [player.name, {
-    totalMinutes: 0,
-    rotationCount: 0,
-    periodsPlayed: new Set(),
-    substitutionTimes: []
-  }]));
-  
-  let playerQueue = [...players];
-  let currentTime = 0;
-
-  // Helper function to get next balanced group of players
-  const getNextPlayers = () => {
-    // Sort by playing time to maintain equality
-    playerQueue.sort((a, b) => 
-      (playerStats.get(a.name).totalMinutes - playerStats.get(b.name).totalMinutes)
-    );
-
-    // Calculate ideal skill distribution
-    const targetStrongPlayers = Math.ceil(playersOnField / 2);
-    
-    let selectedPlayers = [];
-    let strongCount = 0;
-    let weakCount = 0;
-    
-    // First pass: select players based on play time and skill balance
-    for (let i = 0; i < playerQueue.length && selectedPlayers.length < playersOnField; i++) {
-      const player = playerQueue[i];
-      if (player.skill === 1 && strongCount < targetStrongPlayers) {
-        selectedPlayers.push(player);
-        strongCount++;
-      } else if (player.skill === 0 && weakCount < (playersOnField - targetStrongPlayers)) {
-        selectedPlayers.push(player);
-        weakCount++;
+
+// Text for the set-times inputs, one entry per period
+const formatWindowTimes = (windows) =>
+  windows.times.map(times => (times ? times.map(formatTime).join(', ') : ''));
+
+// Main component implementation
+const RotationManager = ({ team, teams, onTeamChange }) => {
+  // Roster and settings are restored from the team's last session
+  const [savedSettings] = useState(() => loadState(teamKey(team.id, STORAGE_KEYS.settings), {}));
+  // Custom presets are shared by all teams; the team's default preset fills in settings never saved
+  // and sets the format of each new game
+  const [customPresets, setCustomPresets] = useState(() => loadState(STORAGE_KEYS.presets, { custom: [] }).custom);
+  const defaultPresetId = team.defaultPresetId ?? DEFAULT_PRESET_ID;
+  const [defaultFormat] = useState(() => getDefaultFormat(customPresets, defaultPresetId));
+
+  // State management - now includes players as objects with skill ratings
+  const [players, setPlayers] = useState(() => {
+    const roster = loadState(teamKey(team.id, STORAGE_KEYS.roster), []);
+    // Rosters saved before numeric ratings used 1 for First and 0 for Second
+    if (savedSettings.skillScale === undefined) {
+      return roster.map(player => ({ ...player, skill: player.skill === 1 ? 4 : 2 }));
+    }
+    return roster;
+  });
+  const [newPlayer, setNewPlayer] = useState('');
+  // Confirmation after copying a player to another team's roster
+  const [copyNotice, setCopyNotice] = useState('');
+  const [periods, setPeriods] = useState(savedSettings.periods ?? defaultFormat.periods);
+  const [periodLength, setPeriodLength] = useState(savedSettings.periodLength ?? defaultFormat.periodLength); // seconds
+  const [playersOnField, setPlayersOnField] = useState(savedSettings.playersOnField ?? defaultFormat.playersOnField);
+  const [rotationSchedule, setRotationSchedule] = useState(null);
+  // The clock keeps wall-clock timestamps; `now` only drives re-rendering while it runs
+  const [clock, setClock] = useState(createClock());
+  const [now, setNow] = useState(() => Date.now());
+  // 'running' keeps going through stoppages and subs are called at their time; 'stopped' stops for
+  // timeouts and fouls, and subs wait for the clock to stop
+  const [clockMode, setClockMode] = useState(savedSettings.clockMode ?? defaultFormat.clockMode);
+  const [stoppages, setStoppages] = useState([]);
+  const [scoreboardTime, setScoreboardTime] = useState('');
+  // Beep/vibrate/notify `offsets` seconds before each substitution
+  const [alertSettings, setAlertSettings] = useState({ ...DEFAULT_ALERT_SETTINGS, ...savedSettings.alerts });
+  const [alertOffsetsText, setAlertOffsetsText] = useState(() => alertSettings.offsets.join(', '));
+  const [activeAlert, setActiveAlert] = useState(null);
+  // Game time and clock state at the previous alert check
+  const lastAlertCheck = useRef({ time: 0, running: false });
+  // Set by a reset: the game stays unsaved until its clock runs again, so a reload doesn't offer to resume it
+  const gameWasReset = useRef(false);
+  const [rotationDuration, setRotationDuration] = useState(savedSettings.rotationDuration ?? defaultFormat.rotationDuration);
+  const [optimalDuration, setOptimalDuration] = useState(null);
+  // When substitutions may happen: every rotation length, equal parts of a period or set times
+  const [substitutionWindows, setSubstitutionWindows] = useState(() => ({
+    ...DEFAULT_SUBSTITUTION_WINDOWS,
+    ...(savedSettings.substitutionWindows ?? defaultFormat.substitutionWindows)
+  }));
+  const [windowTimesText, setWindowTimesText] = useState(() => formatWindowTimes(substitutionWindows));
+  // Highest skill rating; players are rated from 1 up to this
+  const [skillScale, setSkillScale] = useState(savedSettings.skillScale ?? 5);
+  // 'line' swaps the whole lineup at once, 'rolling' swaps `subsPerChange` players at each substitution
+  const [substitutionMode, setSubstitutionMode] = useState(savedSettings.substitutionMode ?? defaultFormat.substitutionMode);
+  const [subsPerChange, setSubsPerChange] = useState(savedSettings.subsPerChange ?? defaultFormat.subsPerChange);
+  // Lineup made of positions, e.g. [{ position: 'GK', count: 1 }] - empty means any player fills any spot
+  const [positionTemplate, setPositionTemplate] = useState(savedSettings.positionTemplate ?? defaultFormat.positionTemplate);
+  const [positionTemplateText, setPositionTemplateText] = useState(() => formatPositionTemplate(positionTemplate));
+  // Give players behind on season minutes priority for the extra stints
+  const [useSeasonBalance, setUseSeasonBalance] = useState(savedSettings.useSeasonBalance ?? true);
+  // Search for a better schedule than the greedy one (line changes only), for up to `optimizerBudget` seconds
+  const [useOptimizer, setUseOptimizer] = useState(savedSettings.useOptimizer ?? false);
+  const [optimizerBudget, setOptimizerBudget] = useState(savedSettings.optimizerBudget ?? 1);
+  // Greedy and optimized schedules with their scores, so the coach can pick one; `active` is the one in use
+  const [scheduleComparison, setScheduleComparison] = useState(null);
+  // Share of the optimizer's time budget used while it searches, null when it isn't running
+  const [optimizerProgress, setOptimizerProgress] = useState(null);
+  // Keep-apart/keep-together pairs and pinned lineups the generator has to follow
+  const [constraints, setConstraints] = useState(() => ({ ...EMPTY_CONSTRAINTS, ...savedSettings.constraints }));
+  // Players arriving late or leaving early: { [name]: { from, to } } in game seconds
+  const [availability, setAvailability] = useState(savedSettings.availability ?? {});
+  // Hand-edited schedules are flagged when the playing time spread exceeds this many minutes
+  const [fairnessThreshold, setFairnessThreshold] = useState(savedSettings.fairnessThreshold ?? 2);
+  // Player picked for a tap-to-move edit (the touch-screen alternative to dragging)
+  const [selectedSlot, setSelectedSlot] = useState(null);
+  // Players marked out mid-game: { name, from, to } with `to` null while still out
+  const [absences, setAbsences] = useState([]);
+  // Substitutions actually made: { time, in, out, planned } entries, starting with the kickoff lineup
+  const [substitutionLog, setSubstitutionLog] = useState([]);
+  // Points for and against, each tied to the rotation and players on the field when scored
+  const [scoringEvents, setScoringEvents] = useState([]);
+  const [swapOut, setSwapOut] = useState('');
+  const [swapIn, setSwapIn] = useState('');
+  // Live sync with other tabs and devices: the controller runs the game, followers mirror it
+  // The role belongs to this tab, so tabs of one browser don't overwrite each other's; the rest is saved with the team
+  const [syncSettings, setSyncSettings] = useState(() => ({
+    ...DEFAULT_SYNC_SETTINGS,
+    ...savedSettings.sync,
+    role: loadTabState(teamKey(team.id, STORAGE_KEYS.syncRole), DEFAULT_SYNC_SETTINGS.role)
+  }));
+  // Relay connection: { status, detail } with a readable reason when it is down
+  const [syncStatus, setSyncStatus] = useState(null);
+  const [deviceId] = useState(createDeviceId);
+  const syncChannel = useRef(null);
+  const handleSyncMessage = useRef(() => {});
+  // Undo/redo of roster, settings and schedule changes
+  const [history, setHistory] = useState(createHistory);
+  const historyShortcuts = useRef(null);
+  // Label of the field being typed into, see recordEdit
+  const editingField = useRef(null);
+  // Read-only link to the schedule it was made from; a changed schedule needs a new link
+  const [shareLink, setShareLink] = useState(null);
+  // Saved games making up the season ledger, and the ledger entry of the current game once saved
+  const [seasonGames, setSeasonGames] = useState(() => loadState(teamKey(team.id, STORAGE_KEYS.season), []));
+  const [seasonGameId, setSeasonGameId] = useState(null);
+  // An unfinished game from a previous session, offered for resuming on load
+  const [savedGame, setSavedGame] = useState(() => {
+    const game = loadState(teamKey(team.id, STORAGE_KEYS.game), null);
+    if (!game) return null;
+    // Games saved before the wall-clock timer kept a plain gameTime
+    const restored = {
+      ...game,
+      clock: game.clock ?? {
+        running: Boolean(game.isPlaying),
+        baseTime: game.gameTime ?? 0,
+        startedAt: game.isPlaying ? game.savedAt : null
       }
+    };
+    const isFinished = getSavedClockTime(restored) >= game.rotationSchedule.stats.totalGameTime * 60;
+    return isFinished ? null : restored;
+  });
+
+  const gameTime = Math.floor(getClockTime(clock, now));
+  // Followers only watch: the handlers that change the game do nothing on them
+  const isFollower = syncSettings.enabled && syncSettings.role === 'follower';
+  const isPlaying = clock.running;
+  const { period: currentPeriod, rotation: currentRotation } = rotationSchedule
+    ? getRotationPosition(rotationSchedule, gameTime)
+    : { period: 0, rotation: 0 };
+  const scoreboardTimeError = rotationSchedule ? getScoreboardTimeError(scoreboardTime, rotationSchedule.settings.periodLength) : null;
+
+  // Persist roster and settings whenever they change
+  useEffect(() => {
+    saveState(teamKey(team.id, STORAGE_KEYS.roster), players);
+  }, [team.id, players]);
+
+  useEffect(() => {
+    saveState(teamKey(team.id, STORAGE_KEYS.settings), {
+      periods,
+      periodLength,
+      playersOnField,
+      rotationDuration,
+      positionTemplate,
+      skillScale,
+      substitutionMode,
+      subsPerChange,
+      useSeasonBalance,
+      clockMode,
+      alerts: alertSettings,
+      fairnessThreshold,
+      constraints,
+      availability,
+      useOptimizer,
+      optimizerBudget,
+      substitutionWindows,
+      sync: { enabled: syncSettings.enabled, relayUrl: syncSettings.relayUrl }
+    });
+  }, [
+    team.id,
+    periods,
+    periodLength,
+    playersOnField,
+    rotationDuration,
+    positionTemplate,
+    skillScale,
+    substitutionMode,
+    subsPerChange,
+    useSeasonBalance,
+    clockMode,
+    alertSettings,
+    fairnessThreshold,
+    constraints,
+    availability,
+    useOptimizer,
+    optimizerBudget,
+    substitutionWindows,
+    syncSettings
+  ]);
+
+  useEffect(() => {
+    saveTabState(teamKey(team.id, STORAGE_KEYS.syncRole), syncSettings.role);
+  }, [team.id, syncSettings.role]);
+
+  useEffect(() => {
+    saveState(teamKey(team.id, STORAGE_KEYS.season), seasonGames);
+  }, [team.id, seasonGames]);
+
+  useEffect(() => {
+    saveState(STORAGE_KEYS.presets, { custom: customPresets });
+  }, [customPresets]);
+
+  // Persist the game in progress so a reload can pick up where it left off
+  useEffect(() => {
+    if (!rotationSchedule) return;
+    if (gameWasReset.current) {
+      if (!clock.running && clock.baseTime === 0) return;
+      gameWasReset.current = false;
+    }
+    saveState(teamKey(team.id, STORAGE_KEYS.game), {
+      rotationSchedule,
+      clock,
+      absences,
+      stoppages,
+      substitutionLog,
+      scoringEvents,
+      seasonGameId,
+      savedAt: Date.now()
+    });
+  }, [team.id, rotationSchedule, clock, absences, stoppages, substitutionLog, scoringEvents, seasonGameId]);
+
+  // Timer effect for game management - re-reads the wall clock, and catches up as soon as
+  // a backgrounded tab becomes visible again
+  useEffect(() => {
+    if (!clock.running) return;
+    const tick = () => setNow(Date.now());
+    const interval = setInterval(tick, 250);
+    document.addEventListener('visibilitychange', tick);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', tick);
+    };
+  }, [clock.running]);
+
+  // Fire substitution alerts the running clock has passed since the last check. After a long
+  // jump (e.g. the tab was asleep) only the most recent alert is worth announcing; a clock that
+  // was just started or restored has nothing to catch up on. With a stopped clock a change can only
+  // be made at a dead ball, so its time only warns it is due and the call to sub comes when the clock stops.
+  useEffect(() => {
+    const previous = lastAlertCheck.current;
+    // Game time the clock last started at, while it runs
+    const runningSince = clock.running ? (previous.running ? previous.runningSince : gameTime) : null;
+    lastAlertCheck.current = { time: gameTime, running: clock.running, runningSince };
+    if (!rotationSchedule || !alertSettings.enabled) return;
+
+    const announce = (title, rotation, isNow, shownFrom) => {
+      const body = describeChange(rotation);
+      if (alertSettings.sound) playBeep({ count: isNow ? 3 : 1 });
+      if (alertSettings.vibration) vibrate(isNow ? [200, 100, 200, 100, 200] : 200);
+      if (alertSettings.notification) showNotification(title, body);
+      setActiveAlert({ title, body, time: shownFrom });
+    };
+
+    if (clockMode === 'stopped' && previous.running && !clock.running) {
+      const rotation = getChangeDueAtStop(rotationSchedule, previous.runningSince, gameTime);
+      if (rotation) announce('Substitution now', rotation, true, gameTime);
+      return;
     }
-    
-    // Fill remaining spots if needed
-    if (selectedPlayers.length < playersOnField) {
-      const remainingPlayers = playerQueue
-        .filter(p => !selectedPlayers.includes(p))
-        .slice(0, playersOnField - selectedPlayers.length);
-      selectedPlayers = [...selectedPlayers, ...remainingPlayers];
+    if (!clock.running || !previous.running || gameTime <= previous.time) return;
+
+    const alert = getDueAlerts(rotationSchedule, previous.time, gameTime, alertSettings.offsets).at(-1);
+    if (!alert) return;
+    if (alert.offset > 0) {
+      announce(`Substitution in ${formatTime(alert.offset)}`, alert.rotation, false, alert.rotation.startTime);
+    } else if (clockMode === 'stopped') {
+      announce('Substitution due at the next stoppage', alert.rotation, false, alert.rotation.startTime);
+    } else {
+      announce('Substitution now', alert.rotation, true, alert.rotation.startTime);
     }
-    
-    // Update queue
-    playerQueue = [...playerQueue.filter(p => !selectedPlayers.includes(p)), ...selectedPlayers];
-    
-    return selectedPlayers;
-  };
-
-  // Generate rotations for each period
-  for (let period = 0; period < periods; period++) {
-    const periodRotations = [];
-    let remainingPeriodTime = periodLength;
-    
-    while (remainingPeriodTime > 0) {
-      const currentPlayers = getNextPlayers();
-      const currentRotationDuration = Math.min(rotationDuration, remainingPeriodTime);
-      const rotationStartTime = currentTime + (periodLength - remainingPeriodTime);
-      const rotationEndTime = rotationStartTime + currentRotationDuration;
-      
-      // Update statistics for each player
-      currentPlayers.forEach(player => {
-        const stats = playerStats.get(player.name);
-        stats.totalMinutes += currentRotationDuration;
-        stats.rotationCount += 1;
-        stats.periodsPlayed.add(period + 1);
-        stats.substitutionTimes.push({
-          type: 'in',
-          time: rotationStartTime,
-          period: period + 1,
-          rotation: periodRotations.length + 1,
-          gameMinute: Math.floor(rotationStartTime / 60)
-        });
-        stats.substitutionTimes.push({
-          type: 'out',
-          time: rotationEndTime,
-          period: period + 1,
-          rotation: periodRotations.length + 1,
-          gameMinute: Math.floor(rotationEndTime / 60)
-        });
-      });
-      
-      // Record rotation
-      periodRotations.push({
-        period: period + 1,
-        rotationNumber: periodRotations.length + 1,
-        players: currentPlayers,
-        startTime: rotationStartTime,
-        endTime: rotationEndTime,
-        durationMinutes: currentRotationDuration / 60,
-        gameMinute: Math.floor(rotationStartTime / 60),
-        strongCount: currentPlayers.filter(p => p.skill === 1).length,
-        weakCount: currentPlayers.filter(p => p.skill === 0).length
-      });
-      
-      remainingPeriodTime -= currentRotationDuration;
+  }, [gameTime, clock.running, rotationSchedule, alertSettings, clockMode]);
+
+  // The clock stops by itself at the end of each period
+  useEffect(() => {
+    if (!clock.running || !rotationSchedule) return;
+    const periodEnd = getPeriodEnd(clock, rotationSchedule.settings.periodLength);
+    if (getClockTime(clock, now) >= periodEnd) {
+      setClock({ running: false, baseTime: periodEnd, startedAt: null });
     }
-    
-    rotations.push(periodRotations);
-    currentTime += periodLength;
-  }
+  }, [clock, now, rotationSchedule]);
 
-  const targetPlayTimePerPlayer = (playersOnField / totalPlayers) * totalGameTime;
-  
-  // Calculate final statistics
-  const stats = {
-    averageMinutes: Array.from(playerStats.values())
-      .reduce((acc, stats) => acc + stats.totalMinutes, 0) / totalPlayers / 60,
-    targetMinutesPerPlayer: targetPlayTimePerPlayer / 60,
-    playerStats: Object.fromEntries(
-      Array.from(playerStats.entries()).map(([name, stats]) => [
-        name,
-        {
-          totalMinutes: stats.totalMinutes / 60,
-          rotationCount: stats.rotationCount,
-          periodsPlayed: Array.from(stats.periodsPlayed),
-          substitutionTimes: stats.substitutionTimes,
-          percentageOfGame: (stats.totalMinutes / totalGameTime * 100).toFixed(1),
-          differenceFromTarget: ((stats.totalMinutes - targetPlayTimePerPlayer) / 60).toFixed(2)
-        }
-      ])
-    ),
-    totalRotations: rotations.flat().length,
-    rotationDuration: rotationDuration / 60,
-    totalGameTime: totalGameTime / 60,
-    maxTimeDifference: (Math.max(...Array.from(playerStats.values()).map(s => s.totalMinutes)) -
-      Math.min(...Array.from(playerStats.values()).map(s => s.totalMinutes))) / 60,
-    rotationsPerPeriod,
-    optimal: optimal,
-    isUsingOptimalDuration: !overrideRotationDuration,
-    minutesPerRotation: rotationDuration / 60
+  // Followers mirror the controller's game; a device taking control demotes the old controller
+  handleSyncMessage.current = (message) => {
+    if (message.type === 'controller' && syncSettings.role === 'controller') {
+      setSyncSettings({ ...syncSettings, role: 'follower' });
+    } else if (message.type === 'hello' && syncSettings.role === 'controller' && rotationSchedule) {
+      syncChannel.current?.send(createStateMessage({ rotationSchedule, clock, absences, stoppages, substitutionLog, scoringEvents }));
+    } else if (message.type === 'state' && syncSettings.role === 'follower') {
+      const { game } = message;
+      setRotationSchedule(game.rotationSchedule);
+      setOptimalDuration(game.rotationSchedule.stats.optimal);
+      setNow(Date.now());
+      setClock(clockFromMessage(game.clock));
+      setAbsences(game.absences);
+      setStoppages(game.stoppages);
+      setSubstitutionLog(game.substitutionLog);
+      setScoringEvents(game.scoringEvents || []);
+      setScheduleComparison(null);
+      setSavedGame(null);
+    }
   };
-  
-  return { rotations, stats };
-};
-// Main component implementation
-const RotationManager = () => {
-  // State management - now includes players as objects with skill levels
-  const [players, setPlayers] = useState([]);
-  const [newPlayer, setNewPlayer] = useState('');
-  const [periods, setPeriods] = useState(4);
-  const [periodLength, setPeriodLength] = useState(600); // 10 minutes in seconds
-  const [playersOnField, setPlayersOnField] = useState(5);
-  const [rotationSchedule, setRotationSchedule] = useState(null);
-  const [currentPeriod, setCurrentPeriod] = useState(0);
-  const [currentRotation, setCurrentRotation] = useState(0);
-  const [gameTime, setGameTime] = useState(0);
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [rotationDuration, setRotationDuration] = useState(null);
-  const [optimalDuration, setOptimalDuration] = useState(null);
 
-  // Timer effect for game management
   useEffect(() => {
-    let interval;
-    if (isPlaying) {
-      interval = setInterval(() => {
-        setGameTime(time => {
-          const newTime = time + 1;
-          if (rotationSchedule) {
-            const allRotations = rotationSchedule.rotations.flat();
-            const currentRotationIndex = allRotations.findIndex(
-              rot => newTime >= rot.startTime && newTime < rot.endTime
-            );
-            
-            if (currentRotationIndex !== -1) {
-              const rotation = allRotations[currentRotationIndex];
-              setCurrentPeriod(rotation.period - 1);
-              setCurrentRotation(rotation.rotationNumber - 1);
-            }
-            
-            if (newTime >= periods * periodLength) {
-              setIsPlaying(false);
-              return periods * periodLength;
-            }
-          }
-          return newTime;
-        });
-      }, 1000);
+    if (!syncSettings.enabled) return;
+    const channel = openSyncChannel({
+      deviceId,
+      teamId: team.id,
+      relayUrl: syncSettings.relayUrl.trim(),
+      onMessage: (message) => handleSyncMessage.current(message),
+      onStatusChange: (status, detail) => setSyncStatus({ status, detail })
+    });
+    syncChannel.current = channel;
+    return () => {
+      channel.close();
+      syncChannel.current = null;
+      setSyncStatus(null);
+    };
+  }, [syncSettings.enabled, syncSettings.relayUrl, deviceId, team.id]);
+
+  // Turning sync on joins as a follower; only "Take control" makes this device the controller
+  const toggleSync = (enabled) => {
+    setSyncSettings({ ...syncSettings, enabled, role: enabled ? 'follower' : syncSettings.role });
+  };
+
+  const takeControl = () => {
+    setSyncSettings({ ...syncSettings, role: 'controller' });
+    syncChannel.current?.send({ type: 'controller' });
+  };
+
+  // A follower asks for the game when it joins, and again whenever the relay (re)connects
+  useEffect(() => {
+    if (!syncSettings.enabled || syncSettings.role !== 'follower') return;
+    syncChannel.current?.send({ type: 'hello' });
+  }, [syncSettings.enabled, syncSettings.role]);
+
+  useEffect(() => {
+    if (syncStatus?.status !== 'connected') return;
+    // A controller answers as if asked for its state; a follower asks
+    if (syncSettings.role === 'controller') handleSyncMessage.current({ type: 'hello' });
+    else syncChannel.current?.send({ type: 'hello' });
+  }, [syncStatus, syncSettings.role]);
+
+  // The controller sends every change to the game
+  useEffect(() => {
+    if (!syncSettings.enabled || syncSettings.role !== 'controller' || !rotationSchedule) return;
+    syncChannel.current?.send(createStateMessage({ rotationSchedule, clock, absences, stoppages, substitutionLog, scoringEvents }));
+  }, [syncSettings, rotationSchedule, clock, absences, stoppages, substitutionLog, scoringEvents]);
+
+  // State an action can change. Generating a schedule also restarts the game, so that action keeps
+  // the game state too; the clock is left alone otherwise, since undo shouldn't rewind it
+  const takeSnapshot = (withGame = false) => ({
+    players,
+    periods,
+    periodLength,
+    playersOnField,
+    rotationDuration,
+    positionTemplate,
+    skillScale,
+    substitutionMode,
+    subsPerChange,
+    substitutionWindows,
+    clockMode,
+    useSeasonBalance,
+    useOptimizer,
+    optimizerBudget,
+    constraints,
+    availability,
+    fairnessThreshold,
+    rotationSchedule,
+    scheduleComparison,
+    absences,
+    ...(withGame ? { game: { clock, stoppages, substitutionLog, scoringEvents, seasonGameId } } : {})
+  });
+
+  const restoreSnapshot = (snapshot) => {
+    setPlayers(snapshot.players);
+    setPeriods(snapshot.periods);
+    setPeriodLength(snapshot.periodLength);
+    setPlayersOnField(snapshot.playersOnField);
+    setRotationDuration(snapshot.rotationDuration);
+    setPositionTemplate(snapshot.positionTemplate);
+    setPositionTemplateText(formatPositionTemplate(snapshot.positionTemplate));
+    setSkillScale(snapshot.skillScale);
+    setSubstitutionMode(snapshot.substitutionMode);
+    setSubsPerChange(snapshot.subsPerChange);
+    setSubstitutionWindows(snapshot.substitutionWindows);
+    setWindowTimesText(formatWindowTimes(snapshot.substitutionWindows));
+    setClockMode(snapshot.clockMode);
+    setUseSeasonBalance(snapshot.useSeasonBalance);
+    setUseOptimizer(snapshot.useOptimizer);
+    setOptimizerBudget(snapshot.optimizerBudget);
+    setConstraints(snapshot.constraints);
+    setAvailability(snapshot.availability ?? {});
+    setFairnessThreshold(snapshot.fairnessThreshold);
+    setRotationSchedule(snapshot.rotationSchedule);
+    setScheduleComparison(snapshot.scheduleComparison);
+    setAbsences(snapshot.absences);
+    setSelectedSlot(null);
+    if (snapshot.game) {
+      setNow(Date.now());
+      setClock(snapshot.game.clock);
+      setStoppages(snapshot.game.stoppages);
+      setSubstitutionLog(snapshot.game.substitutionLog);
+      setScoringEvents(snapshot.game.scoringEvents);
+      setSeasonGameId(snapshot.game.seasonGameId);
     }
-    return () => clearInterval(interval);
-  }, [isPlaying, periodLength, periods, rotationSchedule]);
+  };
+
+  // Call before changing the state, with a short description for the recent actions list
+  const recordHistory = (label, withGame = false) => {
+    editingField.current = null;
+    setHistory(current => recordAction(current, label, takeSnapshot(withGame)));
+  };
+
+  // Typing into a field is one action: the first change records history and the rest of the edit,
+  // until the field loses focus, joins it
+  const recordEdit = (label) => {
+    if (editingField.current === label) return;
+    recordHistory(label);
+    editingField.current = label;
+  };
+
+  const endEdit = () => {
+    editingField.current = null;
+  };
+
+  // Record and apply a settings change, e.g. updateSetting('Periods', setPeriods, 4)
+  const updateSetting = (label, setter, value) => {
+    recordHistory(label);
+    setter(value);
+  };
+
+  const undo = () => {
+    const entry = history.past.at(-1);
+    if (!entry) return;
+    endEdit();
+    const result = undoAction(history, takeSnapshot(Boolean(entry.snapshot.game)));
+    restoreSnapshot(result.snapshot);
+    setHistory(result.history);
+  };
+
+  const redo = () => {
+    const entry = history.future[0];
+    if (!entry) return;
+    endEdit();
+    const result = redoAction(history, takeSnapshot(Boolean(entry.snapshot.game)));
+    restoreSnapshot(result.snapshot);
+    setHistory(result.history);
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on a Mac, Ctrl+Y also redoes); text fields keep their own undo
+  historyShortcuts.current = { undo, redo };
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const key = e.key.toLowerCase();
+      if (!(e.ctrlKey || e.metaKey) || (key !== 'z' && key !== 'y')) return;
+      const isTextField = e.target.tagName === 'TEXTAREA' ||
+        (e.target.tagName === 'INPUT' && !['checkbox', 'radio', 'button'].includes(e.target.type));
+      if (isTextField) return;
+      e.preventDefault();
+      if (e.shiftKey || key === 'y') historyShortcuts.current.redo();
+      else historyShortcuts.current.undo();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
 
   // Enhanced player management functions
   const addPlayer = () => {
     if (newPlayer.trim() && !players.find(p => p.name === newPlayer.trim())) {
+      recordHistory(`Add ${newPlayer.trim()}`);
       setPlayers([...players, {
         name: newPlayer.trim(),
-        skill: 0 // Default to Second player
+        skill: Math.ceil(skillScale / 2) // Default to the middle of the scale
       }]);
       setNewPlayer('');
     }
   };
 
-  const handleBulkPlayerAdd = (text) => {
-    const newPlayerNames = text
-      .split(/[\n,;]+/)
-      .map(name => name.trim())
-      .filter(name => name.length > 0);
-      
-    const uniqueNewPlayers = newPlayerNames
-      .filter(name => !players.find(p => p.name === name))
-      .map(name => ({ 
-        name,
-        skill: 0 // Default all bulk-added players to Second
-      }));
-      
-    setPlayers([...players, ...uniqueNewPlayers]);
-    setNewPlayer('');
+  // Add the confirmed rows from a roster import
+  const handleRosterImport = (importedPlayers) => {
+    recordHistory(`Import ${importedPlayers.length} player${importedPlayers.length === 1 ? '' : 's'}`);
+    setPlayers([...players, ...importedPlayers]);
   };
   
   const removePlayer = (playerName) => {
+    recordHistory(`Remove ${playerName}`);
     setPlayers(players.filter(p => p.name !== playerName));
+    // Their lineup rules and availability window go with them
+    setConstraints(removePlayerFromConstraints(constraints, playerName));
+    if (availability[playerName]) {
+      const rest = { ...availability };
+      delete rest[playerName];
+      setAvailability(rest);
+    }
+  };
+
+  // Clearing the roster drops every lineup rule and availability window with it, so undo brings all back
+  const clearRoster = () => {
+    recordHistory('Clear roster');
+    setPlayers([]);
+    setConstraints(EMPTY_CONSTRAINTS);
+    setAvailability({});
+  };
+
+  const copyPlayer = (player, teamId) => {
+    const target = teams.find(t => t.id === teamId);
+    setCopyNotice(copyPlayerToTeam(teamId, player)
+      ? `Copied ${player.name} to ${target.name}`
+      : `${target.name} already has a player named ${player.name}`);
   };
 
-  // New function to toggle player skill level
-  const togglePlayerSkill = (playerName) => {
+  const setPlayerSkill = (playerName, skill) => {
+    recordHistory(`Rate ${playerName}`);
     setPlayers(players.map(player => 
       player.name === playerName 
-        ? { ...player, skill: player.skill === 1 ? 0 : 1 }
+        ? { ...player, skill }
         : player
     ));
   };
 
+  // Changing the scale keeps every rating inside it
+  const handleSkillScaleChange = (scale) => {
+    if (isNaN(scale) || scale < 2) return;
+    recordEdit('Skill scale');
+    setSkillScale(scale);
+    setPlayers(players.map(player => ({ ...player, skill: Math.min(player.skill, scale) })));
+  };
+
+  // Toggle a position for a player; positions are kept in the order picked, most preferred first
+  const togglePlayerPosition = (playerName, position) => {
+    recordHistory(`Positions for ${playerName}`);
+    setPlayers(players.map(player => {
+      if (player.name !== playerName) return player;
+      const positions = player.positions || [];
+      return {
+        ...player,
+        positions: positions.includes(position)
+          ? positions.filter(p => p !== position)
+          : [...positions, position]
+      };
+    }));
+  };
+
+  // The position template decides how many players are on the field
+  const handlePositionTemplateChange = (text) => {
+    recordEdit('Position template');
+    setPositionTemplateText(text);
+    const template = parsePositionTemplate(text);
+    setPositionTemplate(template);
+    if (template.length > 0) {
+      setPlayersOnField(template.reduce((total, { count }) => total + count, 0));
+    }
+  };
+
   // Function to handle rotation duration changes
   const handleRotationDurationChange = (minutes) => {
     if (!isNaN(minutes) && minutes > 0) {
+      recordEdit('Rotation length');
       setRotationDuration(minutes * 60);
     }
   };
+
+  // Apply a preset's game format in one step; the roster and lineup rules stay as they are
+  const applyFormat = (format) => {
+    const windows = { ...DEFAULT_SUBSTITUTION_WINDOWS, ...format.substitutionWindows };
+    setPeriods(format.periods);
+    setPeriodLength(format.periodLength);
+    setPlayersOnField(format.playersOnField);
+    setPositionTemplate(format.positionTemplate);
+    setPositionTemplateText(formatPositionTemplate(format.positionTemplate));
+    setSubstitutionMode(format.substitutionMode);
+    setSubsPerChange(format.subsPerChange);
+    setRotationDuration(format.rotationDuration);
+    setSubstitutionWindows(windows);
+    setWindowTimesText(formatWindowTimes(windows));
+    setClockMode(format.clockMode);
+  };
+
+  const applyPreset = (preset) => {
+    recordHistory(`Apply ${preset.name}`);
+    applyFormat(preset.settings);
+  };
+
+  // Save the current game format as a custom preset and return its id
+  const savePreset = (name) => {
+    const preset = createPreset(name, {
+      periods,
+      periodLength,
+      playersOnField,
+      positionTemplate,
+      substitutionMode,
+      subsPerChange,
+      rotationDuration,
+      substitutionWindows,
+      clockMode
+    });
+    setCustomPresets([...customPresets, preset]);
+    return preset.id;
+  };
+
+  // The default falls back to the standard preset when its custom preset is deleted
+  const deletePreset = (id) => {
+    setCustomPresets(customPresets.filter(preset => preset.id !== id));
+    if (defaultPresetId === id) onTeamChange({ defaultPresetId: DEFAULT_PRESET_ID });
+  };
   
   // Generate schedule with enhanced rotation logic
-  const generateSchedule = () => {
+  // Set substitution times for one period, typed as "5:00, 7:30"; later periods left empty
+  // use the first period's times. Times are only used once every period's list reads right.
+  const handleWindowTimesChange = (periodIdx, text) => {
+    const texts = Array.from({ length: periods }, (_, idx) => windowTimesText[idx] ?? '');
+    texts[periodIdx] = text;
+    recordEdit(`Substitution times for period ${periodIdx + 1}`);
+    setWindowTimesText(texts);
+    const lists = texts.map(value => parseTimeList(value, periodLength));
+    if (lists.some(list => list.error)) return;
+    setSubstitutionWindows({
+      ...substitutionWindows,
+      times: lists.map((list, idx) => (idx > 0 && list.times.length === 0 ? null : list.times))
+    });
+  };
+
+  const generateSchedule = async () => {
+    if (optimizerProgress !== null) return;
     if (players.length < playersOnField) {
       alert('Need more players than positions!');
       return;
     }
-    const result = generateRotations(players, playersOnField, periods, periodLength, rotationDuration);
-    setRotationSchedule(result);
+    const result = generateRotations(players, playersOnField, periods, periodLength, rotationDuration, {
+      positionTemplate,
+      substitutionMode,
+      subsPerChange,
+      seasonPriority: useSeasonBalance
+        ? getPlayersBehind(summarizeSeason(seasonGames), players.map(p => p.name))
+        : [],
+      constraints,
+      substitutionWindows,
+      availability
+    });
+    // Recorded before the optimizer runs: the snapshot is the state the schedule is made from, and
+    // edits made while it searches are recorded after this entry
+    recordHistory('Generate schedule', true);
+
+    let schedule = result;
+    let comparison = null;
+    if (useOptimizer && substitutionMode === 'line') {
+      setOptimizerProgress(0);
+      const optimized = await optimizeSchedule(result, players, {
+        timeBudget: optimizerBudget * 1000,
+        onProgress: setOptimizerProgress
+      });
+      setOptimizerProgress(null);
+      comparison = {
+        greedy: { schedule: result, score: scoreSchedule(result) },
+        optimized: { schedule: optimized.schedule, score: optimized.score },
+        iterations: optimized.iterations
+      };
+      comparison.active = comparison.optimized.score.total < comparison.greedy.score.total ? 'optimized' : 'greedy';
+      schedule = comparison[comparison.active].schedule;
+    }
+
+    setScheduleComparison(comparison);
+
+    gameWasReset.current = false;
+    setRotationSchedule(schedule);
     setOptimalDuration(result.stats.optimal);
-    setGameTime(0);
-    setCurrentPeriod(0);
-    setCurrentRotation(0);
-    setIsPlaying(false);
+    setSavedGame(null);
+    setAbsences([]);
+    setSeasonGameId(null);
+    setClock(createClock());
+    setStoppages([]);
+    setSubstitutionLog([]);
+    setScoringEvents([]);
+    setActiveAlert(null);
   };
   
+  // Mark a player out (or back) at the current game time and re-plan the rest of the game
+  const togglePlayerAvailability = (playerName) => {
+    if (isFollower) return;
+    const isOut = absences.some(a => a.name === playerName && a.to === null);
+    const nextAbsences = isOut
+      ? absences.map(a => (a.name === playerName && a.to === null ? { ...a, to: gameTime } : a))
+      : [...absences, { name: playerName, from: gameTime, to: null }];
+    const { playersOnField: onField, periods: schedulePeriods, periodLength: scheduleLength, rotationDuration: duration } = rotationSchedule.settings;
+    recordHistory(`Mark ${playerName} ${isOut ? 'back in' : 'out'}`);
+
+    const result = generateRotations(players, onField, schedulePeriods, scheduleLength, duration, {
+      positionTemplate: rotationSchedule.settings.positionTemplate,
+      substitutionMode: rotationSchedule.settings.substitutionMode,
+      subsPerChange: rotationSchedule.settings.subsPerChange,
+      seasonPriority: rotationSchedule.settings.seasonPriority,
+      constraints: rotationSchedule.settings.constraints,
+      substitutionWindows: rotationSchedule.settings.substitutionWindows,
+      availability: rotationSchedule.settings.availability,
+      absences: nextAbsences,
+      replanFrom: gameTime,
+      previousRotations: rotationSchedule.rotations
+    });
+
+    setAbsences(nextAbsences);
+    setRotationSchedule(result);
+    setScheduleComparison(null);
+  };
+
+  // Apply a schedule edit and recalculate the stats; the first edit remembers the generated
+  // schedule's balance so later edits can be compared against it
+  const moveInSchedule = (source, target) => {
+    if (isFollower) return;
+    setSelectedSlot(null);
+    const rotations = moveScheduledPlayer(rotationSchedule.rotations, players, rotationSchedule.settings, source, target);
+    if (!rotations) return;
+    recordHistory(`Move ${source.name}`);
+    setRotationSchedule({
+      ...recalculateSchedule(rotationSchedule, rotations, players, absences),
+      baseline: rotationSchedule.baseline ?? {
+        maxTimeDifference: rotationSchedule.stats.maxTimeDifference,
+        lineupSpread: rotationSchedule.stats.lineupStrength.spread
+      }
+    });
+  };
+
+  const handleSlotClick = (slot) => {
+    if (!selectedSlot) {
+      setSelectedSlot(slot);
+    } else if (
+      selectedSlot.period === slot.period &&
+      selectedSlot.rotation === slot.rotation &&
+      selectedSlot.name === slot.name &&
+      Boolean(selectedSlot.bench) === Boolean(slot.bench)
+    ) {
+      setSelectedSlot(null);
+    } else {
+      moveInSchedule(selectedSlot, slot);
+    }
+  };
+
+  // A slot dragged from this schedule: { period, rotation, name, bench } pointing at an existing rotation
+  const isScheduleSlot = (slot) =>
+    Boolean(slot) && typeof slot.name === 'string' &&
+    Number.isInteger(slot.period) && Number.isInteger(slot.rotation) &&
+    Boolean(rotationSchedule.rotations[slot.period]?.[slot.rotation]);
+
+  const handleSlotDrop = (e, target) => {
+    e.preventDefault();
+    e.stopPropagation();
+    // Anything dropped from another app or page is ignored
+    let source;
+    try {
+      source = JSON.parse(e.dataTransfer.getData('application/json') || 'null');
+    } catch {
+      return;
+    }
+    if (isScheduleSlot(source)) moveInSchedule(source, target);
+  };
+
+  // Drag handlers for a player chip or an empty cell in the schedule table
+  const dragProps = (slot) => ({
+    draggable: Boolean(slot.name),
+    onDragStart: (e) => {
+      e.dataTransfer.setData('application/json', JSON.stringify(slot));
+      e.dataTransfer.effectAllowed = 'move';
+    },
+    onDragOver: (e) => e.preventDefault(),
+    onDrop: (e) => handleSlotDrop(e, slot)
+  });
+
+  // Rotations each period gets with the current settings, for picking pinned rotations
+  const plannedRotationDuration = rotationDuration || calculateOptimalRotationDuration(
+    players.length,
+    playersOnField,
+    periodLength,
+    substitutionMode === 'rolling' ? Math.min(subsPerChange, playersOnField) : playersOnField
+  ).recommendedDuration;
+  const rotationsPerPeriod = Array.from({ length: periods }, (_, idx) =>
+    getSubstitutionTimes(idx, periodLength, plannedRotationDuration, substitutionWindows).length + 1);
+
+  const isPlayerOut = (playerName) => absences.some(a => a.name === playerName && a.to === null);
+  // Players marked out plus the schedule's late arrivals and early departures
+  const scheduleAbsences = rotationSchedule
+    ? [...absences, ...getWindowAbsences(rotationSchedule.settings.availability, rotationSchedule.stats.totalGameTime * 60)]
+    : absences;
+
+  // Record this game's minutes in the season ledger; saving again updates the same entry.
+  // Recorded substitutions, when there are any, count instead of the planned minutes
+  // Saves the minutes played so far; saving again once the game is over updates the record
+  const saveGameToSeason = () => {
+    if (gameTime === 0) return;
+    const game = createSeasonGame(rotationSchedule, players, substitutionLog, { absences, endTime: gameTime });
+    if (seasonGameId !== null && seasonGames.some(g => g.id === seasonGameId)) {
+      setSeasonGames(seasonGames.map(g => (g.id === seasonGameId ? { ...game, id: seasonGameId, date: g.date } : g)));
+    } else {
+      setSeasonGames([...seasonGames, game]);
+      setSeasonGameId(game.id);
+    }
+  };
+
+  const removeSeasonGame = (gameId) => {
+    setSeasonGames(seasonGames.filter(g => g.id !== gameId));
+    if (gameId === seasonGameId) setSeasonGameId(null);
+  };
+
+  const exportScheduleCsv = () => {
+    downloadFile('rotation-schedule.csv', scheduleToCsv(rotationSchedule));
+  };
+
+  const exportSubstitutionsCsv = () => {
+    downloadFile('substitution-times.csv', substitutionsToCsv(rotationSchedule));
+  };
+
+  const createShareLink = async () => {
+    const schedule = rotationSchedule;
+    try {
+      const hash = await encodeShareLink({ teamName: team.name, rotationSchedule: schedule, players, absences });
+      setShareLink({ url: `${window.location.origin}${window.location.pathname}${hash}`, schedule });
+    } catch {
+      // Older browsers have no CompressionStream to pack the link with
+      setShareLink({ error: 'This browser can\'t create share links. Try an up-to-date Chrome, Safari or Firefox.', schedule });
+    }
+  };
+
+  const exportPlannedVsActualCsv = () => {
+    downloadFile('planned-vs-actual.csv', plannedVsActualToCsv(comparePlannedToActual(rotationSchedule, substitutionLog, gameTime)));
+  };
+
   const resetGame = () => {
-    setGameTime(0);
-    setCurrentPeriod(0);
-    setCurrentRotation(0);
-    setIsPlaying(false);
+    if (isFollower) return;
+    gameWasReset.current = true;
+    clearState(teamKey(team.id, STORAGE_KEYS.game));
+    setClock(createClock());
+    setStoppages([]);
+    setSubstitutionLog([]);
+    setScoringEvents([]);
+    setActiveAlert(null);
+  };
+
+  // Put the game away and set up the next one in the team's default format; the roster stays
+  const startNewGame = () => {
+    if (isFollower) return;
+    recordHistory('New game', true);
+    applyFormat(getDefaultFormat(customPresets, defaultPresetId));
+    clearState(teamKey(team.id, STORAGE_KEYS.game));
+    setRotationSchedule(null);
+    setScheduleComparison(null);
+    setAbsences([]);
+    setClock(createClock());
+    setStoppages([]);
+    setSubstitutionLog([]);
+    setScoringEvents([]);
+    setSeasonGameId(null);
+    setActiveAlert(null);
+    setShareLink(null);
+  };
+
+  const toggleClock = () => {
+    if (isFollower) return;
+    // Starting the clock is the user gesture that lets alerts play sound later
+    if (alertSettings.enabled && alertSettings.sound) unlockAudio();
+    const timestamp = Date.now();
+    setNow(timestamp);
+    if (clock.running) {
+      setClock(stopClock(clock, timestamp));
+    } else if (gameTime < rotationSchedule.stats.totalGameTime * 60) {
+      setClock(startClock(clock, timestamp));
+      // The planned starting lineup takes the field at the first start
+      setSubstitutionLog(withKickoffEntry(rotationSchedule, substitutionLog));
+    }
+  };
+
+  // Log the planned substitution as made now, however early or late that is
+  const confirmSubstitution = () => {
+    if (isFollower) return;
+    // The kickoff lineup goes in first, so the change is worked out from the players really on
+    const log = withKickoffEntry(rotationSchedule, substitutionLog);
+    const change = getPlannedChange(rotationSchedule, getActualLineup(log, gameTime), gameTime);
+    if (!change) return;
+    setSubstitutionLog([...log, { time: gameTime, in: change.in, out: change.out, planned: true }]);
+  };
+
+  const recordScore = (scoringTeam, points) => {
+    if (isFollower) return;
+    setScoringEvents([...scoringEvents, createScoringEvent(rotationSchedule, substitutionLog, gameTime, scoringTeam, points)]);
+  };
+
+  // Log a swap the plan didn't call for
+  const recordSwap = () => {
+    if (isFollower) return;
+    if (!swapOut || !swapIn) return;
+    const log = withKickoffEntry(rotationSchedule, substitutionLog);
+    setSubstitutionLog([...log, { time: gameTime, in: [swapIn], out: [swapOut], planned: false }]);
+    setSwapOut('');
+    setSwapIn('');
+  };
+
+  const updateAlertSettings = (changes) => {
+    setAlertSettings({ ...alertSettings, ...changes });
+    if (changes.enabled || changes.notification) requestNotificationPermission();
+    if (changes.enabled || changes.sound) unlockAudio();
+  };
+
+  const handleAlertOffsetsChange = (text) => {
+    setAlertOffsetsText(text);
+    setAlertSettings({ ...alertSettings, offsets: parseAlertOffsets(text) });
+  };
+
+  // Stopped-clock games halt the clock for timeouts, fouls and other whistles
+  const recordStoppage = (type) => {
+    if (isFollower) return;
+    const timestamp = Date.now();
+    setNow(timestamp);
+    setClock(stopClock(clock, timestamp));
+    setStoppages([...stoppages, { type, time: Math.floor(getClockTime(clock, timestamp)) }]);
+  };
+
+  // Manual correction to match the official clock
+  const correctClock = (time) => {
+    if (isFollower) return;
+    const corrected = Math.min(time, rotationSchedule.stats.totalGameTime * 60);
+    const timestamp = Date.now();
+    setNow(timestamp);
+    setClock(setClockTime(clock, corrected, timestamp));
+  };
+
+  // The scoreboard counts down: the typed time is what is left in the period
+  const applyScoreboardTime = () => {
+    const remaining = parseTime(scoreboardTime);
+    if (remaining === null || scoreboardTimeError) return;
+    const { periodLength: scheduleLength } = rotationSchedule.settings;
+    correctClock(currentPeriod * scheduleLength + scheduleLength - remaining);
+    setScoreboardTime('');
+  };
+
+  // Restore the saved game; a clock that was running kept running while the tab was gone
+  const resumeSavedGame = () => {
+    const { rotationSchedule: schedule } = savedGame;
+
+    setRotationSchedule(schedule);
+    setOptimalDuration(schedule.stats.optimal);
+    setNow(Date.now());
+    setClock(savedGame.clock);
+    setStoppages(savedGame.stoppages || []);
+    setAbsences(savedGame.absences || []);
+    setSubstitutionLog(savedGame.substitutionLog || []);
+    setScoringEvents(savedGame.scoringEvents || []);
+    setSeasonGameId(savedGame.seasonGameId ?? null);
+    setSavedGame(null);
+  };
+
+  const discardSavedGame = () => {
+    clearState(teamKey(team.id, STORAGE_KEYS.game));
+    setSavedGame(null);
   };
   // First section of the render method - Setup Card
 return (
-  <div className="min-h-screen bg-gray-50 p-8">
-    <div className="max-w-6xl mx-auto space-y-6">
+  <div className="min-h-screen bg-gray-50 p-8 print:min-h-0 print:bg-white print:p-0">
+    <div className="max-w-6xl mx-auto space-y-6 print:hidden">
+      {/* Resume Prompt - offered when a previous game was left unfinished */}
+      {savedGame?.rotationSchedule && !rotationSchedule && (
+        <Card className="border-blue-300 bg-blue-50">
+          <CardContent className="pt-6">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+              <div>
+                <h3 className="text-lg font-semibold">Resume last game?</h3>
+                <p className="text-sm text-gray-600">
+                  {(() => {
+                    const savedTime = getSavedClockTime(savedGame);
+                    const position = getRotationPosition(savedGame.rotationSchedule, savedTime);
+                    return `Period ${position.period + 1}, Rotation ${position.rotation + 1} at ${formatTime(savedTime)}`;
+                  })()}
+                  {savedGame.clock.running ? ' (clock was running)' : ''}
+                </p>
+              </div>
+              <div className="flex space-x-2">
+                <Button onClick={resumeSavedGame}>Resume</Button>
+                <Button variant="outline" onClick={discardSavedGame}>Discard</Button>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
       {/* Main Setup Card */}
       <Card>
         <CardHeader>
-          <CardTitle className="text-2xl font-bold">Player Rotation Manager</CardTitle>
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+            <CardTitle className="text-2xl font-bold">Player Rotation Manager</CardTitle>
+            {/* Undo / Redo with the recent actions */}
+            <div className="flex items-center gap-2">
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={undo}
+                disabled={history.past.length === 0}
+                title={history.past.length > 0 ? `Undo ${history.past.at(-1).label} (Ctrl+Z)` : 'Nothing to undo'}
+              >
+                <Undo2 className="h-4 w-4 mr-1" /> Undo
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={redo}
+                disabled={history.future.length === 0}
+                title={history.future.length > 0 ? `Redo ${history.future[0].label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+              >
+                <Redo2 className="h-4 w-4 mr-1" /> Redo
+              </Button>
+              {(history.past.length > 0 || history.future.length > 0) && (
+                <details className="relative text-sm">
+                  <summary className="cursor-pointer text-gray-600">Recent</summary>
+                  <ol className="absolute right-0 z-10 mt-1 w-56 bg-white border rounded-lg shadow p-2 space-y-1">
+                    {history.future.slice(0, 3).reverse().map(entry => (
+                      <li key={`redo-${entry.time}`} className="text-gray-400 line-through">{entry.label}</li>
+                    ))}
+                    {history.past.slice(-8).reverse().map(entry => (
+                      <li key={`undo-${entry.time}`}>{entry.label}</li>
+                    ))}
+                  </ol>
+                </details>
+              )}
+            </div>
+          </div>
         </CardHeader>
         <CardContent>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             {/* Left Column: Game Settings */}
             <div className="space-y-4">
+              {/* Sport and League Presets */}
+              <div>
+                <label className="block text-sm font-medium mb-2">Preset</label>
+                <PresetPicker
+                  presets={getAllPresets(customPresets)}
+                  defaultPresetId={defaultPresetId}
+                  onApply={applyPreset}
+                  onSave={savePreset}
+                  onDelete={deletePreset}
+                  onSetDefault={(id) => onTeamChange({ defaultPresetId: id })}
+                />
+              </div>
+
               {/* Period Controls */}
               <div>
                 <label className="block text-sm font-medium mb-2">Number of Periods</label>
@@ -305,7 +1111,7 @@ return (
                   <Button
                     variant="outline"
                     size="icon"
-                    onClick={() => setPeriods(p => Math.max(1, p - 1))}
+                    onClick={() => updateSetting('Periods', setPeriods, p => Math.max(1, p - 1))}
                   >
                     <Minus className="h-4 w-4" />
                   </Button>
@@ -313,7 +1119,7 @@ return (
                   <Button
                     variant="outline"
                     size="icon"
-                    onClick={() => setPeriods(p => p + 1)}
+                    onClick={() => updateSetting('Periods', setPeriods, p => p + 1)}
                   >
                     <Plus className="h-4 w-4" />
                   </Button>
@@ -327,7 +1133,7 @@ return (
                   <Button
                     variant="outline"
                     size="icon"
-                    onClick={() => setPeriodLength(p => Math.max(60, p - 60))}
+                    onClick={() => updateSetting('Period length', setPeriodLength, p => Math.max(60, p - 60))}
                   >
                     <Minus className="h-4 w-4" />
                   </Button>
@@ -335,7 +1141,7 @@ return (
                   <Button
                     variant="outline"
                     size="icon"
-                    onClick={() => setPeriodLength(p => p + 60)}
+                    onClick={() => updateSetting('Period length', setPeriodLength, p => p + 60)}
                   >
                     <Plus className="h-4 w-4" />
                   </Button>
@@ -349,7 +1155,8 @@ return (
                   <Button
                     variant="outline"
                     size="icon"
-                    onClick={() => setPlayersOnField(p => Math.max(1, p - 1))}
+                    onClick={() => updateSetting('Players on field', setPlayersOnField, p => Math.max(1, p - 1))}
+                    disabled={positionTemplate.length > 0}
                   >
                     <Minus className="h-4 w-4" />
                   </Button>
@@ -357,42 +1164,210 @@ return (
                   <Button
                     variant="outline"
                     size="icon"
-                    onClick={() => setPlayersOnField(p => p + 1)}
+                    onClick={() => updateSetting('Players on field', setPlayersOnField, p => p + 1)}
+                    disabled={positionTemplate.length > 0}
                   >
                     <Plus className="h-4 w-4" />
                   </Button>
                 </div>
               </div>
 
-              {/* Rotation Duration Controls */}
+              {/* Position Template Controls */}
               <div>
-                <label className="block text-sm font-medium mb-2">Rotation Duration (minutes)</label>
-                <div className="space-y-2">
-                  <div className="flex items-center space-x-2">
-                    <Input
-                      type="number"
-                      min="1"
-                      max="20"
-                      value={rotationDuration ? rotationDuration / 60 : ''}
-                      onChange={(e) => handleRotationDurationChange(parseFloat(e.target.value))}
-                      placeholder={optimalDuration ? `Optimal: ${optimalDuration.rotationLengthMinutes.toFixed(1)}` : 'Auto'}
-                      className="w-24"
+                <label className="block text-sm font-medium mb-2">Positions (optional)</label>
+                <Input
+                  value={positionTemplateText}
+                  onChange={(e) => handlePositionTemplateChange(e.target.value)}
+                  onBlur={endEdit}
+                  placeholder="Example: GK:1, DEF:2, FWD:2"
+                />
+                <p className="text-sm text-gray-500 mt-1">
+                  {positionTemplate.length > 0
+                    ? `Lineup: ${formatPositionTemplate(positionTemplate)} (${playersOnField} on field)`
+                    : 'Leave empty to treat every spot the same'}
+                </p>
+              </div>
+
+              {/* Skill Scale Controls */}
+              <div>
+                <label className="block text-sm font-medium mb-2">Skill Rating Scale</label>
+                <div className="flex items-center space-x-2">
+                  <span className="text-sm text-gray-600">1 to</span>
+                  <Input
+                    type="number"
+                    min="2"
+                    max="100"
+                    value={skillScale}
+                    onChange={(e) => handleSkillScaleChange(parseInt(e.target.value, 10))}
+                    onBlur={endEdit}
+                    className="w-24"
+                  />
+                </div>
+              </div>
+
+              {/* Substitution Style Controls */}
+              <div>
+                <label className="block text-sm font-medium mb-2">Substitution Style</label>
+                <div className="flex items-center space-x-2">
+                  <Button
+                    variant={substitutionMode === 'line' ? 'default' : 'outline'}
+                    size="sm"
+                    onClick={() => updateSetting('Substitution mode', setSubstitutionMode, 'line')}
+                  >
+                    Full Line Changes
+                  </Button>
+                  <Button
+                    variant={substitutionMode === 'rolling' ? 'default' : 'outline'}
+                    size="sm"
+                    onClick={() => updateSetting('Substitution mode', setSubstitutionMode, 'rolling')}
+                  >
+                    Rolling Subs
+                  </Button>
+                </div>
+                {substitutionMode === 'rolling' && (
+                  <div className="flex items-center space-x-2 mt-2">
+                    <span className="text-sm text-gray-600">Players per change:</span>
+                    <Button
+                      variant="outline"
+                      size="icon"
+                      onClick={() => updateSetting('Players per substitution', setSubsPerChange, p => Math.max(1, p - 1))}
+                    >
+                      <Minus className="h-4 w-4" />
+                    </Button>
+                    <span className="w-8 text-center">{subsPerChange}</span>
+                    <Button
+                      variant="outline"
+                      size="icon"
+                      onClick={() => updateSetting('Players per substitution', setSubsPerChange, p => Math.min(playersOnField, p + 1))}
+                    >
+                      <Plus className="h-4 w-4" />
+                    </Button>
+                  </div>
+                )}
+                {substitutionMode === 'line' && (
+                  <label className="flex items-center space-x-2 mt-2 text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={useOptimizer}
+                      onChange={(e) => updateSetting('Optimizer', setUseOptimizer, e.target.checked)}
                     />
+                    <span>Optimize lineups for up to</span>
+                    <select
+                      value={optimizerBudget}
+                      onChange={(e) => updateSetting('Optimizer time', setOptimizerBudget, Number(e.target.value))}
+                      className="border rounded px-1 py-0.5"
+                      disabled={!useOptimizer}
+                    >
+                      {[1, 3, 10].map(seconds => (
+                        <option key={seconds} value={seconds}>{seconds}</option>
+                      ))}
+                    </select>
+                    <span>s</span>
+                  </label>
+                )}
+              </div>
+
+              {/* Substitution Windows */}
+              <div>
+                <label className="block text-sm font-medium mb-2">Substitution Windows</label>
+                <div className="flex flex-wrap items-center gap-2">
+                  {[
+                    ['even', 'Every Rotation'],
+                    ['split', 'Equal Parts'],
+                    ['times', 'Set Times']
+                  ].map(([mode, label]) => (
+                    <Button
+                      key={mode}
+                      variant={substitutionWindows.mode === mode ? 'default' : 'outline'}
+                      size="sm"
+                      onClick={() => updateSetting('Substitution windows', setSubstitutionWindows, { ...substitutionWindows, mode })}
+                    >
+                      {label}
+                    </Button>
+                  ))}
+                </div>
+                {substitutionWindows.mode === 'split' && (
+                  <div className="flex items-center space-x-2 mt-2">
+                    <span className="text-sm text-gray-600">Rotations per period:</span>
                     <Button
                       variant="outline"
-                      onClick={() => setRotationDuration(null)}
+                      size="icon"
+                      onClick={() => updateSetting('Substitution windows', setSubstitutionWindows, { ...substitutionWindows, parts: Math.max(1, substitutionWindows.parts - 1) })}
                     >
-                      Reset to Optimal
+                      <Minus className="h-4 w-4" />
+                    </Button>
+                    <span className="w-8 text-center">{substitutionWindows.parts}</span>
+                    <Button
+                      variant="outline"
+                      size="icon"
+                      onClick={() => updateSetting('Substitution windows', setSubstitutionWindows, { ...substitutionWindows, parts: substitutionWindows.parts + 1 })}
+                    >
+                      <Plus className="h-4 w-4" />
                     </Button>
                   </div>
-                  {optimalDuration && (
+                )}
+                {substitutionWindows.mode === 'times' && (
+                  <div className="space-y-1 mt-2">
                     <p className="text-sm text-gray-500">
-                      Recommended: {optimalDuration.rotationLengthMinutes.toFixed(1)} minutes
-                      ({optimalDuration.rotationsPerPeriod} rotations per period)
+                      Times into the period (time played, not time left) when subs are allowed, e.g. &quot;4:00, 7:30&quot;.
+                      Empty periods use Period 1&apos;s times.
                     </p>
-                  )}
-                </div>
+                    {Array.from({ length: periods }, (_, idx) => {
+                      const { error } = parseTimeList(windowTimesText[idx] ?? '', periodLength);
+                      return (
+                        <div key={idx}>
+                          <div className="flex items-center space-x-2">
+                            <span className="text-sm text-gray-600 w-20">Period {idx + 1}:</span>
+                            <Input
+                              value={windowTimesText[idx] ?? ''}
+                              onChange={(e) => handleWindowTimesChange(idx, e.target.value)}
+                              onBlur={endEdit}
+                              placeholder={idx === 0 ? 'e.g. 4:00, 7:30' : 'Same as Period 1'}
+                              className="flex-1"
+                            />
+                          </div>
+                          {error && <p className="text-sm text-red-600 ml-20 pl-2">{error} - these times aren&apos;t used</p>}
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
               </div>
+
+              {/* Rotation Duration Controls */}
+              {substitutionWindows.mode === 'even' && (
+                <div>
+                  <label className="block text-sm font-medium mb-2">
+                    {substitutionMode === 'rolling' ? 'Time Between Substitutions (minutes)' : 'Rotation Duration (minutes)'}
+                  </label>
+                  <div className="space-y-2">
+                    <div className="flex items-center space-x-2">
+                      <Input
+                        type="number"
+                        min="1"
+                        max="20"
+                        value={rotationDuration ? rotationDuration / 60 : ''}
+                        onChange={(e) => handleRotationDurationChange(parseFloat(e.target.value))}
+                        onBlur={endEdit}
+                        placeholder={optimalDuration ? `Optimal: ${optimalDuration.rotationLengthMinutes.toFixed(1)}` : 'Auto'}
+                        className="w-24"
+                      />
+                      <Button
+                        variant="outline"
+                        onClick={() => updateSetting('Rotation length', setRotationDuration, null)}
+                      >
+                        Reset to Optimal
+                      </Button>
+                    </div>
+                    {optimalDuration && (
+                      <p className="text-sm text-gray-500">
+                        Recommended: {optimalDuration.rotationLengthMinutes.toFixed(1)} minutes
+                        ({optimalDuration.rotationsPerPeriod} rotations per period)
+                      </p>
+                    )}
+                  </div>
+                </div>
+              )}
             </div>
             
             {/* Right Column: Player Management */}
@@ -403,7 +1378,7 @@ return (
                   {/* Individual Player Addition */}
                   <div>
                     <label className="block text-sm text-gray-600 mb-1">
-                      Option 1: Add Individual Player (click player to toggle strength)
+                      Option 1: Add Individual Player (set skill ratings in the list below)
                     </label>
                     <div className="flex space-x-2">
                       <Input
@@ -416,21 +1391,12 @@ return (
                     </div>
                   </div>
                   
-                  {/* Bulk Player Addition */}
+                  {/* Roster Import */}
                   <div>
                     <label className="block text-sm text-gray-600 mb-1">
-                      Option 2: Paste Player List (separate names with commas, semicolons, or new lines)
+                      Option 2: Import Roster (paste or upload CSV/TSV with name, number, skill, positions, notes - or just a list of names)
                     </label>
-                    <div className="space-y-2">
-                      <textarea
-                        className="w-full h-24 px-3 py-2 text-sm border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                        placeholder="Example:
-John Smith
-Jane Doe, Mike Johnson
-Sam Wilson; Alex Davis"
-                        onChange={(e) => handleBulkPlayerAdd(e.target.value)}
-                      />
-                    </div>
+                    <RosterImport players={players} skillScale={skillScale} onImport={handleRosterImport} />
                   </div>
                 </div>
               </div>
@@ -440,46 +1406,82 @@ Sam Wilson; Alex Davis"
                 <div className="space-y-1">
                   <div className="flex justify-between items-center mb-2">
                     <span className="font-medium">
-                      Current Players ({players.length}) - 
-                      First: {players.filter(p => p.skill === 1).length}, 
-                      Second: {players.filter(p => p.skill === 0).length}
+                      Current Players ({players.length})
+                      {players.length > 0 && ` - Avg Skill: ${(getLineupStrength(players) / players.length).toFixed(1)}`}
                     </span>
                     {players.length > 0 && (
                       <Button
                         variant="ghost"
                         size="sm"
-                        onClick={() => setPlayers([])}
+                        onClick={clearRoster}
                         className="text-red-600 hover:text-red-700"
                       >
                         Clear All
                       </Button>
                     )}
                   </div>
+                  {copyNotice && <p className="text-sm text-gray-500">{copyNotice}</p>}
                   {players.map((player) => (
                     <div key={player.name} className="flex justify-between items-center py-1 px-2 hover:bg-gray-50 rounded">
+                      <div className="flex items-center space-x-2" title={player.notes || ''}>
+                        <span>
+                          {player.jersey !== undefined && <span className="text-gray-400 mr-1">#{player.jersey}</span>}
+                          {player.name}
+                          {player.notes && <span className="text-gray-400 ml-1">*</span>}
+                        </span>
+                        <select
+                          value={player.skill}
+                          onChange={(e) => setPlayerSkill(player.name, parseInt(e.target.value, 10))}
+                          className={`text-sm border rounded px-1 py-0.5 ${
+                            isStrongPlayer(player, skillScale) ? 'text-green-600' : 'text-gray-500'
+                          }`}
+                          title="Skill rating"
+                        >
+                          {Array.from({ length: skillScale }, (_, idx) => idx + 1).map(rating => (
+                            <option key={rating} value={rating}>Skill {rating}</option>
+                          ))}
+                        </select>
+                        {positionTemplate.map(({ position }) => {
+                          const preference = (player.positions || []).indexOf(position);
+                          return (
+                            <button
+                              key={position}
+                              onClick={() => togglePlayerPosition(player.name, position)}
+                              className={`text-xs px-1.5 py-0.5 rounded border ${
+                                preference !== -1
+                                  ? 'border-blue-500 bg-blue-50 text-blue-700'
+                                  : 'border-gray-200 text-gray-400'
+                              }`}
+                              title="Tap positions in order of preference"
+                            >
+                              {position}{preference !== -1 ? ` ${preference + 1}` : ''}
+                            </button>
+                          );
+                        })}
+                      </div>
                       <div className="flex items-center space-x-2">
-                        <span>{player.name}</span>
+                        {teams.length > 1 && (
+                          <select
+                            value=""
+                            onChange={(e) => copyPlayer(player, e.target.value)}
+                            className="text-sm border rounded px-1 py-0.5 text-gray-500"
+                            title="Copy this player to another team"
+                          >
+                            <option value="">Copy to...</option>
+                            {teams.filter(t => t.id !== team.id).map(t => (
+                              <option key={t.id} value={t.id}>{t.name}</option>
+                            ))}
+                          </select>
+                        )}
                         <Button
                           variant="ghost"
                           size="sm"
-                          onClick={() => togglePlayerSkill(player.name)}
-                          className={`${
-                            player.skill === 1 
-                              ? 'text-green-600 hover:text-green-700' 
-                              : 'text-gray-400 hover:text-gray-500'
-                          }`}
+                          onClick={() => removePlayer(player.name)}
+                          className="text-gray-600 hover:text-red-600"
                         >
-                          {player.skill === 1 ? 'First' : 'Second'}
+                          Remove
                         </Button>
                       </div>
-                      <Button
-                        variant="ghost"
-                        size="sm"
-                        onClick={() => removePlayer(player.name)}
-                        className="text-gray-600 hover:text-red-600"
-                      >
-                        Remove
-                      </Button>
                     </div>
                   ))}
                   {players.length === 0 && (
@@ -490,14 +1492,57 @@ Sam Wilson; Alex Davis"
             </div>
           </div>
           
+          {/* Lineup Rules */}
+          {players.length > 1 && (
+            <details className="mt-6 border rounded-lg p-4" open={Object.values(constraints).some(rules => rules.length > 0)}>
+              <summary className="font-medium cursor-pointer">
+                Lineup Rules ({constraints.keepApart.length + constraints.keepTogether.length + constraints.pinned.length})
+              </summary>
+              <div className="mt-3">
+                <LineupRules players={players} rotationsPerPeriod={rotationsPerPeriod} constraints={constraints} onChange={(rules) => updateSetting('Lineup rules', setConstraints, rules)} />
+              </div>
+            </details>
+          )}
+
+          {/* Late Arrivals and Early Departures */}
+          {players.length > 0 && (
+            <details className="mt-6 border rounded-lg p-4" open={Object.keys(availability).length > 0}>
+              <summary className="font-medium cursor-pointer">
+                Late Arrivals &amp; Early Departures ({Object.keys(availability).length})
+              </summary>
+              <div className="mt-3">
+                <AvailabilityWindows
+                  players={players}
+                  availability={availability}
+                  totalGameTime={periods * periodLength}
+                  onChange={(windows) => updateSetting('Availability', setAvailability, windows)}
+                />
+              </div>
+            </details>
+          )}
+
+          {/* Season Balance Toggle */}
+          {seasonGames.length > 0 && (
+            <label className="mt-6 flex items-center justify-center space-x-2 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={useSeasonBalance}
+                onChange={(e) => updateSetting('Season balance', setUseSeasonBalance, e.target.checked)}
+              />
+              <span>Give players behind on season minutes priority for extra rotations</span>
+            </label>
+          )}
+
           {/* Generate Schedule Button */}
           <div className="mt-6 flex justify-center">
             <Button
               className="w-full md:w-auto"
               onClick={generateSchedule}
-              disabled={players.length < playersOnField}
+              disabled={players.length < playersOnField || optimizerProgress !== null}
             >
-              Generate Rotation Schedule
+              {optimizerProgress !== null
+                ? `Optimizing... ${Math.round(optimizerProgress * 100)}%`
+                : 'Generate Rotation Schedule'}
             </Button>
           </div>
         </CardContent>
@@ -505,6 +1550,72 @@ Sam Wilson; Alex Davis"
 {/* Game Management and Statistics Section - Only shows after schedule generation */}
 {rotationSchedule && (
         <>
+          {/* Greedy vs Optimized Comparison */}
+          {scheduleComparison && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-2xl font-bold">Schedule Options</CardTitle>
+                <p className="text-sm text-gray-500">
+                  The optimizer tried {scheduleComparison.iterations.toLocaleString()} changes. Lower scores are better.
+                </p>
+              </CardHeader>
+              <CardContent>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {[
+                    ['greedy', 'Greedy'],
+                    ['optimized', 'Optimized']
+                  ].map(([key, title]) => {
+                    const { schedule, score } = scheduleComparison[key];
+                    const isActive = scheduleComparison.active === key;
+                    return (
+                      <div key={key} className={`p-4 rounded-lg border ${isActive ? 'border-blue-500 bg-blue-50' : ''}`}>
+                        <h3 className="font-semibold text-lg mb-2 flex items-center justify-between">
+                          <span>{title}</span>
+                          <span className="text-sm">Score {score.total.toFixed(1)}</span>
+                        </h3>
+                        <div className="space-y-1 text-sm">
+                          <p className="flex justify-between">
+                            <span>Playing time spread:</span>
+                            <span className="font-medium">{score.timeSpread.toFixed(1)} min</span>
+                          </p>
+                          <p className="flex justify-between">
+                            <span>Playing time deviation:</span>
+                            <span className="font-medium">&plusmn;{score.timeDeviation.toFixed(1)} min</span>
+                          </p>
+                          <p className="flex justify-between">
+                            <span>Lineup strength deviation:</span>
+                            <span className="font-medium">&plusmn;{score.skillImbalance.toFixed(1)}</span>
+                          </p>
+                          <p className="flex justify-between">
+                            <span>Out of position:</span>
+                            <span className="font-medium">{score.outOfPosition}</span>
+                          </p>
+                          <p className="flex justify-between">
+                            <span>Rules not met:</span>
+                            <span className="font-medium">{score.violations}</span>
+                          </p>
+                        </div>
+                        <Button
+                          className="mt-3 w-full"
+                          variant={isActive ? 'default' : 'outline'}
+                          size="sm"
+                          onClick={() => {
+                            recordHistory('Switch schedule');
+                            setRotationSchedule(schedule);
+                            setScheduleComparison({ ...scheduleComparison, active: key });
+                          }}
+                          disabled={isActive || gameTime > 0}
+                        >
+                          {isActive ? 'In Use' : 'Use This Schedule'}
+                        </Button>
+                      </div>
+                    );
+                  })}
+                </div>
+              </CardContent>
+            </Card>
+          )}
+
           {/* Game Management Card */}
           <Card>
             <CardHeader>
@@ -522,7 +1633,7 @@ Sam Wilson; Alex Davis"
                     <Button
                       variant="outline"
                       size="icon"
-                      onClick={() => setIsPlaying(!isPlaying)}
+                      onClick={toggleClock}
                     >
                       {isPlaying ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
                     </Button>
@@ -533,9 +1644,243 @@ Sam Wilson; Alex Davis"
                     >
                       <RotateCcw className="h-4 w-4" />
                     </Button>
+                    <Button
+                      variant="outline"
+                      onClick={saveGameToSeason}
+                      disabled={gameTime === 0}
+                    >
+                      {seasonGameId !== null ? 'Update Season Record' : 'Save to Season'}
+                    </Button>
+                    <Button variant="outline" onClick={startNewGame}>
+                      New Game
+                    </Button>
                   </div>
                 </div>
+
+                {/* Score - a tap records points for the rotation on the field now */}
+                {(() => {
+                  const score = getScore(scoringEvents);
+                  return (
+                    <div className="flex flex-wrap justify-center items-center gap-4">
+                      {[['us', 'Us'], ['them', 'Them']].map(([side, label]) => (
+                        <div key={side} className="flex items-center gap-2">
+                          <span className={`text-sm font-medium ${side === 'us' ? 'text-green-700' : 'text-red-700'}`}>{label}</span>
+                          <span className="text-3xl font-bold w-12 text-center">{score[side]}</span>
+                          {[1, 2, 3].map(points => (
+                            <Button
+                              key={points}
+                              variant="outline"
+                              size="sm"
+                              onClick={() => recordScore(side, points)}
+                              disabled={isFollower}
+                            >
+                              +{points}
+                            </Button>
+                          ))}
+                        </div>
+                      ))}
+                      {scoringEvents.length > 0 && (
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => setScoringEvents(scoringEvents.slice(0, -1))}
+                          disabled={isFollower}
+                          className="text-gray-600 hover:text-red-600"
+                        >
+                          Remove Last Score
+                        </Button>
+                      )}
+                    </div>
+                  );
+                })()}
+
+                {/* Clock Mode, Stoppages and Corrections */}
+                <div className="space-y-2 text-sm">
+                  <div className="flex flex-wrap justify-center items-center gap-2">
+                    <span className="text-gray-600">
+                      Period {currentPeriod + 1} &middot; {formatTime(Math.max(0, (currentPeriod + 1) * rotationSchedule.settings.periodLength - gameTime))} left
+                    </span>
+                    <Button
+                      variant={clockMode === 'running' ? 'default' : 'outline'}
+                      size="sm"
+                      onClick={() => updateSetting('Clock mode', setClockMode, 'running')}
+                    >
+                      Running Clock
+                    </Button>
+                    <Button
+                      variant={clockMode === 'stopped' ? 'default' : 'outline'}
+                      size="sm"
+                      onClick={() => updateSetting('Clock mode', setClockMode, 'stopped')}
+                    >
+                      Stopped Clock
+                    </Button>
+                  </div>
+                  <p className="text-center text-xs text-gray-500">
+                    {clockMode === 'stopped'
+                      ? 'The clock stops at every whistle; a sub that comes due is called when the clock next stops.'
+                      : 'The clock runs through whistles; subs are called at their planned time.'}
+                  </p>
+                  {clockMode === 'stopped' && (
+                    <div className="flex flex-wrap justify-center items-center gap-2">
+                      {['Timeout', 'Foul', 'Other'].map(type => (
+                        <Button
+                          key={type}
+                          variant="outline"
+                          size="sm"
+                          onClick={() => recordStoppage(type)}
+                          disabled={!isPlaying}
+                        >
+                          {type}
+                        </Button>
+                      ))}
+                      {stoppages.length > 0 && (
+                        <span className="text-gray-600">
+                          {stoppages.length} stoppage{stoppages.length === 1 ? '' : 's'}, last: {stoppages[stoppages.length - 1].type} at {formatTime(stoppages[stoppages.length - 1].time)}
+                        </span>
+                      )}
+                    </div>
+                  )}
+                  <div className="flex flex-wrap justify-center items-center gap-2">
+                    {[-10, -1, 1, 10].map(delta => (
+                      <Button
+                        key={delta}
+                        variant="outline"
+                        size="sm"
+                        onClick={() => correctClock(getClockTime(clock) + delta)}
+                      >
+                        {delta > 0 ? '+' : ''}{delta}s
+                      </Button>
+                    ))}
+                    <Input
+                      className="w-32"
+                      placeholder="Time left m:ss"
+                      title="Time left in the period on the scoreboard"
+                      value={scoreboardTime}
+                      onChange={(e) => setScoreboardTime(e.target.value)}
+                      onKeyDown={(e) => e.key === 'Enter' && applyScoreboardTime()}
+                    />
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={applyScoreboardTime}
+                      disabled={parseTime(scoreboardTime) === null || Boolean(scoreboardTimeError)}
+                    >
+                      Set
+                    </Button>
+                  </div>
+                  {scoreboardTimeError && <p className="text-center text-sm text-red-600">{scoreboardTimeError}</p>}
+                </div>
                 
+                {/* Substitution Alerts */}
+                <div className="flex flex-wrap justify-center items-center gap-3 text-sm pt-2 border-t">
+                  <label className="flex items-center space-x-1">
+                    <input
+                      type="checkbox"
+                      checked={alertSettings.enabled}
+                      onChange={(e) => updateAlertSettings({ enabled: e.target.checked })}
+                    />
+                    <Bell className="h-4 w-4" />
+                    <span>Alerts</span>
+                  </label>
+                  {alertSettings.enabled && (
+                    <>
+                      <label className="flex items-center space-x-1">
+                        <Input
+                          className="w-24"
+                          value={alertOffsetsText}
+                          onChange={(e) => handleAlertOffsetsChange(e.target.value)}
+                        />
+                        <span className="text-gray-600">seconds before</span>
+                      </label>
+                      <label className="flex items-center space-x-1">
+                        <input
+                          type="checkbox"
+                          checked={alertSettings.sound}
+                          onChange={(e) => updateAlertSettings({ sound: e.target.checked })}
+                        />
+                        <span>Sound</span>
+                      </label>
+                      <label className="flex items-center space-x-1">
+                        <input
+                          type="checkbox"
+                          checked={alertSettings.vibration}
+                          onChange={(e) => updateAlertSettings({ vibration: e.target.checked })}
+                        />
+                        <span>Vibrate</span>
+                      </label>
+                      {notificationsSupported() && (
+                        <label className="flex items-center space-x-1">
+                          <input
+                            type="checkbox"
+                            checked={alertSettings.notification}
+                            onChange={(e) => updateAlertSettings({ notification: e.target.checked })}
+                          />
+                          <span>Notify in background</span>
+                        </label>
+                      )}
+                      <Button variant="outline" size="sm" onClick={() => playBeep()}>
+                        Test
+                      </Button>
+                    </>
+                  )}
+                </div>
+                {/* Live Sync */}
+                <div className="flex flex-wrap justify-center items-center gap-3 text-sm pt-2 border-t">
+                  <label className="flex items-center space-x-1">
+                    <input
+                      type="checkbox"
+                      checked={syncSettings.enabled}
+                      onChange={(e) => toggleSync(e.target.checked)}
+                    />
+                    <span>Live Sync</span>
+                  </label>
+                  {syncSettings.enabled && (
+                    <>
+                      {syncSettings.role === 'controller' ? (
+                        <span className="font-medium">Controlling this game</span>
+                      ) : (
+                        <Button variant="outline" size="sm" onClick={takeControl}>
+                          Take control
+                        </Button>
+                      )}
+                      <label className="flex items-center space-x-1">
+                        <span className="text-gray-600">Relay</span>
+                        <Input
+                          className="w-56"
+                          defaultValue={syncSettings.relayUrl}
+                          // Reconnect once the address is typed, not on every keystroke
+                          onBlur={(e) => setSyncSettings({ ...syncSettings, relayUrl: e.target.value })}
+                          onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                          placeholder="wss:// or ws:// relay address (optional)"
+                        />
+                      </label>
+                      {syncStatus && (
+                        <span className={
+                          syncStatus.status === 'connected' ? 'text-green-700' : syncStatus.status === 'error' ? 'text-red-600' : 'text-gray-500'
+                        }>
+                          Relay {syncStatus.status}{syncStatus.detail ? `: ${syncStatus.detail}` : ''}
+                        </span>
+                      )}
+                    </>
+                  )}
+                </div>
+                {isFollower && (
+                  <p className="text-center text-sm text-gray-500">
+                    Following the controller - the clock, substitutions and availability are run from that device. Take control to run the game from here.
+                  </p>
+                )}
+                {activeAlert && gameTime < activeAlert.time + 10 && (
+                  <div className="flex items-center justify-between bg-yellow-50 border border-yellow-300 rounded-lg p-3">
+                    <div>
+                      <p className="font-semibold">{activeAlert.title}</p>
+                      <p className="text-sm">{activeAlert.body}</p>
+                    </div>
+                    <Button variant="outline" size="sm" onClick={() => setActiveAlert(null)}>
+                      Dismiss
+                    </Button>
+                  </div>
+                )}
+
                 {/* Current Rotation Display */}
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                   {/* Current Players */}
@@ -547,9 +1892,12 @@ Sam Wilson; Alex Davis"
                       <ul className="list-disc list-inside">
                         {rotationSchedule.rotations[currentPeriod]?.[currentRotation]?.players.map((player, idx) => (
                           <li key={idx} className={`${
-                            player.skill === 1 ? 'text-green-700' : 'text-blue-700'
+                            isStrongPlayer(player, skillScale) ? 'text-green-700' : 'text-blue-700'
                           }`}>
-                            {player.name} {player.skill === 1 ? '(First)' : '(Second)'}
+                            {player.position && (
+                              <span className={`font-semibold ${player.outOfPosition ? 'text-red-600' : ''}`}>{player.position} - </span>
+                            )}
+                            {player.name} (Skill {player.skill})
                           </li>
                         ))}
                       </ul>
@@ -562,19 +1910,19 @@ Sam Wilson; Alex Davis"
                     <div className="space-y-2">
                       <div className="pl-2 space-y-1">
                         <p className="flex justify-between">
-                          <span>First Players on Field:</span>
+                          <span>Lineup Strength:</span>
                           <span className="font-semibold">
-                            {rotationSchedule.rotations[currentPeriod]?.[currentRotation]?.players.filter(p => p.skill === 1).length}
+                            {getLineupStrength(rotationSchedule.rotations[currentPeriod]?.[currentRotation]?.players || [])}
                           </span>
                         </p>
                         <p className="flex justify-between">
-                          <span>Second Players on Field:</span>
+                          <span>Game Average Strength:</span>
                           <span className="font-semibold">
-                            {rotationSchedule.rotations[currentPeriod]?.[currentRotation]?.players.filter(p => p.skill === 0).length}
+                            {rotationSchedule.stats.lineupStrength.average.toFixed(1)}
                           </span>
                         </p>
                         <p className="flex justify-between mt-4">
-                          <span>Next Rotation In:</span>
+                          <span>{rotationSchedule.settings.substitutionMode === 'rolling' ? 'Next Substitution In:' : 'Next Rotation In:'}</span>
                           <span className="font-semibold">
                             {formatTime(
                               rotationSchedule.rotations[currentPeriod]?.[currentRotation]?.endTime - gameTime
@@ -586,11 +1934,23 @@ Sam Wilson; Alex Davis"
                     {/* Upcoming Players Preview */}
                     <div className="mt-4 pt-4 border-t">
                       <h4 className="font-medium text-gray-700 mb-2">Next Rotation Players:</h4>
+                      {rotationSchedule.rotations[currentPeriod]?.[currentRotation + 1] && (
+                        <div className="text-sm mb-2 space-y-1">
+                          <p>
+                            <span className="text-green-700 font-medium">In: </span>
+                            {rotationSchedule.rotations[currentPeriod][currentRotation + 1].subsIn?.join(', ') || 'No changes'}
+                          </p>
+                          <p>
+                            <span className="text-red-700 font-medium">Out: </span>
+                            {rotationSchedule.rotations[currentPeriod][currentRotation + 1].subsOut?.join(', ') || 'No changes'}
+                          </p>
+                        </div>
+                      )}
                       {rotationSchedule.rotations[currentPeriod]?.[currentRotation + 1] ? (
                         <ul className="list-disc list-inside text-sm">
                           {rotationSchedule.rotations[currentPeriod][currentRotation + 1].players.map((player, idx) => (
-                            <li key={idx} className={player.skill === 1 ? 'text-green-600' : 'text-gray-600'}>
-                              {player.name} {player.skill === 1 ? '(First)' : '(Second)'}
+                            <li key={idx} className={isStrongPlayer(player, skillScale) ? 'text-green-600' : 'text-gray-600'}>
+                              {player.position ? `${player.position} - ` : ''}{player.name} (Skill {player.skill})
                             </li>
                           ))}
                         </ul>
@@ -600,15 +1960,191 @@ Sam Wilson; Alex Davis"
                     </div>
                   </div>
                 </div>
+
+                {/* Substitutions Made - what actually happened, for the planned-vs-actual report */}
+                {(() => {
+                  const onField = getActualLineup(withKickoffEntry(rotationSchedule, substitutionLog), gameTime);
+                  const plannedChange = getPlannedChange(rotationSchedule, onField, gameTime);
+                  return (
+                    <div className="pt-4 border-t">
+                      <h4 className="font-medium text-gray-700 mb-1">Substitutions Made</h4>
+                      <p className="text-sm text-gray-500 mb-2">On the field: {onField.join(', ') || 'nobody'}</p>
+                      <div className="flex flex-wrap items-center gap-2 mb-2">
+                        <Button size="sm" onClick={confirmSubstitution} disabled={!plannedChange}>
+                          Confirm Sub at {formatTime(gameTime)}
+                        </Button>
+                        {plannedChange && (
+                          <span className="text-sm">
+                            <span className="text-green-700 font-medium">In: </span>{plannedChange.in.join(', ') || 'nobody'}
+                            <span className="text-red-700 font-medium ml-2">Out: </span>{plannedChange.out.join(', ') || 'nobody'}
+                          </span>
+                        )}
+                      </div>
+                      <div className="flex flex-wrap items-center gap-2 text-sm">
+                        <span className="text-gray-600">Unplanned swap:</span>
+                        <select value={swapOut} onChange={(e) => setSwapOut(e.target.value)} className="px-2 py-1 border rounded-md">
+                          <option value="">Off</option>
+                          {onField.map(name => <option key={name} value={name}>{name}</option>)}
+                        </select>
+                        <select value={swapIn} onChange={(e) => setSwapIn(e.target.value)} className="px-2 py-1 border rounded-md">
+                          <option value="">On</option>
+                          {players.filter(p => !onField.includes(p.name)).map(p => (
+                            <option key={p.name} value={p.name}>{p.name}</option>
+                          ))}
+                        </select>
+                        <Button variant="outline" size="sm" onClick={recordSwap} disabled={!swapOut || !swapIn}>
+                          Record Swap
+                        </Button>
+                      </div>
+                      {substitutionLog.length > 1 && (
+                        <div className="mt-2 space-y-1">
+                          {substitutionLog.map((entry, idx) => idx > 0 && (
+                            <div key={idx} className="flex justify-between items-center text-sm py-1 px-2 hover:bg-gray-50 rounded">
+                              <span>
+                                {formatTime(entry.time)} - In: {entry.in.join(', ') || 'nobody'} / Out: {entry.out.join(', ') || 'nobody'}
+                                {!entry.planned && <span className="ml-2 text-xs text-yellow-700">unplanned</span>}
+                              </span>
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                onClick={() => setSubstitutionLog(substitutionLog.filter((_, i) => i !== idx))}
+                                className="text-gray-600 hover:text-red-600"
+                              >
+                                Remove
+                              </Button>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })()}
+
+                {/* Player Availability - marking a player out re-plans the remaining rotations */}
+                <div className="pt-4 border-t">
+                  <h4 className="font-medium text-gray-700 mb-1">Player Availability</h4>
+                  <p className="text-sm text-gray-500 mb-2">
+                    Tap a player to mark them out or back in at {formatTime(gameTime)}. Rotations already played are kept.
+                  </p>
+                  <div className="flex flex-wrap gap-2">
+                    {players.map(player => (
+                      <Button
+                        key={player.name}
+                        variant="outline"
+                        size="sm"
+                        onClick={() => togglePlayerAvailability(player.name)}
+                        className={isPlayerOut(player.name) ? 'border-red-300 bg-red-50 text-red-700 line-through' : ''}
+                      >
+                        {player.name}
+                      </Button>
+                    ))}
+                  </div>
+                  {players.filter(p => !isPlayerOut(p.name)).length < rotationSchedule.settings.playersOnField && (
+                    <p className="mt-2 text-sm text-red-600">
+                      Not enough available players to fill every spot - remaining rotations are short-handed.
+                    </p>
+                  )}
+                </div>
               </div>
             </CardContent>
           </Card>
           {/* Complete Rotation Schedule Card */}
           <Card>
             <CardHeader>
-              <CardTitle className="text-2xl font-bold">Complete Rotation Schedule</CardTitle>
+              <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                <CardTitle className="text-2xl font-bold">Complete Rotation Schedule</CardTitle>
+                <div className="flex flex-wrap gap-2">
+                  <Button variant="outline" size="sm" onClick={exportScheduleCsv}>
+                    <Download className="h-4 w-4 mr-1" /> Schedule CSV
+                  </Button>
+                  <Button variant="outline" size="sm" onClick={exportSubstitutionsCsv}>
+                    <Download className="h-4 w-4 mr-1" /> Substitutions CSV
+                  </Button>
+                  <Button variant="outline" size="sm" onClick={() => window.print()}>
+                    <Printer className="h-4 w-4 mr-1" /> Print Bench Sheet
+                  </Button>
+                  <Button variant="outline" size="sm" onClick={createShareLink}>
+                    <Share2 className="h-4 w-4 mr-1" /> Share Link
+                  </Button>
+                </div>
+              </div>
             </CardHeader>
             <CardContent>
+              {shareLink?.schedule === rotationSchedule && shareLink.error && (
+                <p className="mb-4 text-sm text-red-600">{shareLink.error}</p>
+              )}
+              {shareLink?.schedule === rotationSchedule && shareLink.url && (
+                <div className="mb-4 p-3 border rounded-lg flex flex-col md:flex-row gap-4 md:items-center">
+                  <QrCode text={shareLink.url} size={160} />
+                  <div className="flex-1 space-y-2">
+                    <p className="text-sm text-gray-600">
+                      Anyone with this link sees a read-only copy of the schedule and player times. Player notes are not included.
+                    </p>
+                    <div className="flex gap-2">
+                      <Input value={shareLink.url} readOnly onFocus={(e) => e.target.select()} />
+                      <Button variant="outline" size="sm" onClick={() => navigator.clipboard?.writeText(shareLink.url)}>
+                        Copy
+                      </Button>
+                      <Button variant="ghost" size="sm" onClick={() => setShareLink(null)}>
+                        Close
+                      </Button>
+                    </div>
+                  </div>
+                </div>
+              )}
+              {rotationSchedule.stats.outOfPositionCount > 0 && (
+                <p className="mb-4 text-sm text-red-600">
+                  Not enough eligible players for every position - {rotationSchedule.stats.outOfPositionCount} spot(s) are filled out of position (shown in red).
+                </p>
+              )}
+              {rotationSchedule.violations?.length > 0 && (
+                <div className="mb-4 p-3 rounded-lg border border-red-300 bg-red-50 text-sm text-red-700">
+                  <p className="font-medium">Lineup rules that could not be met:</p>
+                  <ul className="list-disc list-inside">
+                    {rotationSchedule.violations.map((violation, idx) => (
+                      <li key={idx}>{violation.message}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              <div className="mb-4 flex flex-wrap items-center gap-2 text-sm text-gray-600">
+                <span>
+                  Drag a player onto another player or the bench to swap them (or tap one, then the other).
+                </span>
+                <label className="flex items-center space-x-1">
+                  <span>Flag edits when playing time differs by more than</span>
+                  <Input
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    className="w-20"
+                    value={fairnessThreshold}
+                    onChange={(e) => {
+                      recordEdit('Fairness threshold');
+                      setFairnessThreshold(Math.max(0, parseFloat(e.target.value) || 0));
+                    }}
+                    onBlur={endEdit}
+                  />
+                  <span>min</span>
+                </label>
+              </div>
+              {rotationSchedule.baseline && (() => {
+                const { baseline, stats } = rotationSchedule;
+                const timeWorse = stats.maxTimeDifference > fairnessThreshold && stats.maxTimeDifference > baseline.maxTimeDifference + 0.001;
+                const balanceWorse = stats.lineupStrength.spread > baseline.lineupSpread;
+                return (
+                  <div className={`mb-4 p-3 rounded-lg border text-sm ${timeWorse ? 'bg-red-50 border-red-300 text-red-700' : 'bg-gray-50'}`}>
+                    <p>
+                      Edited schedule: playing time differs by up to {stats.maxTimeDifference.toFixed(1)} min
+                      (generated: {baseline.maxTimeDifference.toFixed(1)} min)
+                      {timeWorse ? ` - more than the ${fairnessThreshold} min limit` : ''}.
+                    </p>
+                    <p className={balanceWorse ? 'text-yellow-700' : ''}>
+                      Lineup strength range {stats.lineupStrength.spread} (generated: {baseline.lineupSpread}).
+                    </p>
+                  </div>
+                );
+              })()}
               <div className="overflow-x-auto">
                 <table className="w-full border-collapse">
                   <thead>
@@ -617,47 +2153,145 @@ Sam Wilson; Alex Davis"
                       <th className="p-2 border text-left">Rotation</th>
                       <th className="p-2 border text-left">Start Time</th>
                       <th className="p-2 border text-left">End Time</th>
-                      <th className="p-2 border text-left">Players (First players in green)</th>
+                      <th className="p-2 border text-left">Players (stronger players in green)</th>
+                      <th className="p-2 border text-left">Bench</th>
                       <th className="p-2 border text-left">Team Balance</th>
+                      <th className="p-2 border text-left">Changes</th>
                     </tr>
                   </thead>
                   <tbody>
-                    {rotationSchedule.rotations.flat().map((rotation, idx) => (
-                      <tr 
-                        key={idx}
-                        className={gameTime >= rotation.startTime && gameTime < rotation.endTime ? 
-                          "bg-blue-50" : ""}
-                      >
-                        <td className="p-2 border">Period {rotation.period}</td>
-                        <td className="p-2 border">Rotation {rotation.rotationNumber}</td>
-                        <td className="p-2 border">{formatTime(rotation.startTime)}</td>
-                        <td className="p-2 border">{formatTime(rotation.endTime)}</td>
-                        <td className="p-2 border">
-                          {rotation.players.map((player, pidx) => (
-                            <span 
-                              key={pidx}
-                              className={player.skill === 1 ? 'text-green-600' : 'text-gray-600'}
-                            >
-                              {player.name}{pidx < rotation.players.length - 1 ? ', ' : ''}
-                            </span>
-                          ))}
+                    {rotationSchedule.rotations.flat().map((rotation, idx) => {
+                      const location = { period: rotation.period - 1, rotation: rotation.rotationNumber - 1 };
+                      const bench = players.filter(player =>
+                        !rotation.players.some(p => p.name === player.name) &&
+                        isPlayerAvailable(player.name, rotation.startTime, rotation.endTime, scheduleAbsences));
+                      const isSelected = (name, isBench) => Boolean(selectedSlot) &&
+                        selectedSlot.period === location.period &&
+                        selectedSlot.rotation === location.rotation &&
+                        selectedSlot.name === name &&
+                        Boolean(selectedSlot.bench) === isBench;
+                      return (
+                        <tr 
+                          key={idx}
+                          className={gameTime >= rotation.startTime && gameTime < rotation.endTime ? 
+                            "bg-blue-50" : rotation.edited ? "bg-yellow-50" : ""}
+                        >
+                          <td className="p-2 border">Period {rotation.period}</td>
+                          <td className="p-2 border">Rotation {rotation.rotationNumber}</td>
+                          <td className="p-2 border">{formatTime(rotation.startTime)}</td>
+                          <td className="p-2 border">{formatTime(rotation.endTime)}</td>
+                          <td
+                            className="p-2 border"
+                            {...dragProps({ ...location, name: null })}
+                            onClick={() => selectedSlot?.bench && handleSlotClick({ ...location, name: null })}
+                          >
+                            {rotation.players.map((player, pidx) => (
+                              <span 
+                                key={pidx}
+                                {...dragProps({ ...location, name: player.name })}
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  handleSlotClick({ ...location, name: player.name });
+                                }}
+                                className={`cursor-move rounded px-0.5 ${
+                                  isStrongPlayer(player, skillScale) ? 'text-green-600' : 'text-gray-600'
+                                } ${isSelected(player.name, false) ? 'ring-2 ring-blue-500' : ''}`}
+                              >
+                                {player.name}
+                                {player.position && (
+                                  <span className={`text-xs ${player.outOfPosition ? 'text-red-600' : 'text-gray-400'}`}> ({player.position})</span>
+                                )}
+                                {pidx < rotation.players.length - 1 ? ', ' : ''}
+                              </span>
+                            ))}
+                            {rotation.players.length < rotationSchedule.settings.playersOnField && (
+                              <span className="ml-1 text-xs text-red-600">
+                                ({rotationSchedule.settings.playersOnField - rotation.players.length} open)
+                              </span>
+                            )}
+                          </td>
+                          <td
+                            className="p-2 border text-sm text-gray-500"
+                            {...dragProps({ ...location, name: null, bench: true })}
+                            onClick={() => selectedSlot && !selectedSlot.bench && handleSlotClick({ ...location, name: null, bench: true })}
+                          >
+                            {bench.length === 0 && <span className="italic">-</span>}
+                            {bench.map((player, pidx) => (
+                              <span
+                                key={player.name}
+                                {...dragProps({ ...location, name: player.name, bench: true })}
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  handleSlotClick({ ...location, name: player.name, bench: true });
+                                }}
+                                className={`cursor-move rounded px-0.5 ${isSelected(player.name, true) ? 'ring-2 ring-blue-500' : ''}`}
+                              >
+                                {player.name}{pidx < bench.length - 1 ? ', ' : ''}
+                              </span>
+                            ))}
+                          </td>
+                          <td className="p-2 border">
+                            {(() => {
+                              const strength = getLineupStrength(rotation.players);
+                              const difference = strength - rotationSchedule.stats.lineupStrength.average;
+                              return (
+                                <>
+                                  Strength {strength}
+                                  <span className={`ml-1 text-xs ${Math.abs(difference) <= 1 ? 'text-green-600' : 'text-yellow-600'}`}>
+                                    ({difference > 0 ? '+' : ''}{difference.toFixed(1)})
+                                  </span>
+                                </>
+                            );
+                          })()}
                         </td>
-                        <td className="p-2 border">
-                          {rotation.strongCount} First, {rotation.weakCount} Second
+                        <td className="p-2 border text-sm">
+                          {rotation.rotationNumber === 1 ? (
+                            <span className="text-gray-500">Period start</span>
+                          ) : (
+                            <>
+                              <div className="text-green-700">In: {rotation.subsIn?.join(', ') || '-'}</div>
+                              <div className="text-red-700">Out: {rotation.subsOut?.join(', ') || '-'}</div>
+                            </>
+                          )}
                         </td>
                       </tr>
-                    ))}
+                      );
+                    })}
                   </tbody>
                 </table>
               </div>
             </CardContent>
           </Card>
 
+          {/* Field Timeline Card */}
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-2xl font-bold">Field Timeline</CardTitle>
+              <p className="text-sm text-gray-500">Hover over a bar for the exact in and out times</p>
+            </CardHeader>
+            <CardContent>
+              <ScheduleTimeline
+                rotationSchedule={rotationSchedule}
+                players={players}
+                skillScale={skillScale}
+                gameTime={gameTime}
+              />
+            </CardContent>
+          </Card>
+
           {/* Player Statistics Card */}
           <Card>
             <CardHeader>
               <CardTitle className="text-2xl font-bold">Player Statistics</CardTitle>
-              <p className="text-sm text-gray-500">Target play time: {rotationSchedule.stats.targetMinutesPerPlayer.toFixed(1)} minutes per player</p>
+              <p className="text-sm text-gray-500">
+                Target play time: {rotationSchedule.stats.targetMinutesPerPlayer.toFixed(1)} minutes per player
+                {Object.keys(rotationSchedule.settings.availability ?? {}).length > 0 && ', less for players there for part of the game'}
+              </p>
+              <p className="text-sm text-gray-500">
+                Lineup strength: {rotationSchedule.stats.lineupStrength.average.toFixed(1)} average,
+                {' '}{rotationSchedule.stats.lineupStrength.min}-{rotationSchedule.stats.lineupStrength.max} range
+                {' '}(&plusmn;{rotationSchedule.stats.lineupStrength.standardDeviation.toFixed(1)} across rotations)
+              </p>
             </CardHeader>
             <CardContent>
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
@@ -668,17 +2302,19 @@ Sam Wilson; Alex Davis"
                     return (
                       <div key={playerName} 
                         className={`bg-white p-4 rounded-lg border ${
-                          Math.abs(stats.totalMinutes - rotationSchedule.stats.averageMinutes) < 1 
-                            ? 'border-green-500' 
-                            : 'border-yellow-500'
+                          rotationSchedule.baseline && Math.abs(parseFloat(stats.differenceFromTarget)) > fairnessThreshold
+                            ? 'border-red-500 border-2'
+                            : Math.abs(parseFloat(stats.differenceFromTarget)) < 1 
+                              ? 'border-green-500' 
+                              : 'border-yellow-500'
                         }`}
                       >
                         <h3 className="font-semibold text-lg mb-2 flex items-center justify-between">
                           <span>{playerName}</span>
                           <span className={`text-sm ${
-                            player.skill === 1 ? 'text-green-600' : 'text-gray-600'
+                            player && isStrongPlayer(player, skillScale) ? 'text-green-600' : 'text-gray-600'
                           }`}>
-                            {player.skill === 1 ? 'First' : 'Second'}
+                            {player ? `Skill ${player.skill}` : ''}
                           </span>
                         </h3>
                         <div className="space-y-1 text-sm">
@@ -698,6 +2334,20 @@ Sam Wilson; Alex Davis"
                             <span>Periods:</span>
                             <span className="font-medium">{stats.periodsPlayed.join(', ')}</span>
                           </p>
+                          {stats.availableMinutes < rotationSchedule.stats.totalGameTime && (
+                            <p className="flex justify-between">
+                              <span>Target:</span>
+                              <span className="font-medium">
+                                {stats.targetMinutes.toFixed(1)} of {stats.availableMinutes.toFixed(0)} minutes there
+                              </span>
+                            </p>
+                          )}
+                          {stats.positionsPlayed?.length > 0 && (
+                            <p className="flex justify-between">
+                              <span>Positions:</span>
+                              <span className="font-medium">{stats.positionsPlayed.join(', ')}</span>
+                            </p>
+                          )}
                           <p className="flex justify-between text-xs text-gray-500">
                             <span>Difference from Target:</span>
                             <span className={`font-medium ${
@@ -732,7 +2382,223 @@ Sam Wilson; Alex Davis"
           </Card>
         </>
       )}
+
+      {/* Planned vs Actual Card - once substitutions are being recorded */}
+      {rotationSchedule && substitutionLog.length > 0 && (() => {
+        const report = comparePlannedToActual(rotationSchedule, substitutionLog, gameTime);
+        return (
+          <Card>
+            <CardHeader>
+              <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                <div>
+                  <CardTitle className="text-2xl font-bold">Planned vs Actual</CardTitle>
+                  <p className="text-sm text-gray-500">Minutes up to {formatTime(report.endTime)}</p>
+                </div>
+                <Button variant="outline" size="sm" onClick={exportPlannedVsActualCsv}>
+                  <Download className="h-4 w-4 mr-1" /> Report CSV
+                </Button>
+              </div>
+            </CardHeader>
+            <CardContent>
+              <div className="overflow-x-auto">
+                <table className="w-full border-collapse text-sm">
+                  <thead>
+                    <tr>
+                      <th className="p-2 border text-left">Player</th>
+                      {rotationSchedule.rotations.map((_, idx) => (
+                        <th key={idx} className="p-2 border text-left">Period {idx + 1}</th>
+                      ))}
+                      <th className="p-2 border text-left">Planned</th>
+                      <th className="p-2 border text-left">Actual</th>
+                      <th className="p-2 border text-left">Difference</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.players.map(player => (
+                      <tr key={player.name}>
+                        <td className="p-2 border">{player.name}</td>
+                        {player.periods.map((period, idx) => (
+                          <td key={idx} className="p-2 border">
+                            {period.actual.toFixed(1)} <span className="text-gray-500">/ {period.planned.toFixed(1)}</span>
+                          </td>
+                        ))}
+                        <td className="p-2 border">{player.planned.toFixed(1)}</td>
+                        <td className="p-2 border">{player.actual.toFixed(1)}</td>
+                        <td className={`p-2 border font-semibold ${
+                          player.difference <= -1 ? 'text-red-600' : player.difference >= 1 ? 'text-green-700' : ''
+                        }`}>
+                          {player.difference > 0 ? '+' : ''}{player.difference.toFixed(1)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="mt-2 text-xs text-gray-500">Period columns show actual / planned minutes.</p>
+            </CardContent>
+          </Card>
+        );
+      })()}
+
+      {/* Plus/Minus Card - once points are recorded */}
+      {rotationSchedule && scoringEvents.length > 0 && (() => {
+        const playerPlusMinus = getPlayerPlusMinus(scoringEvents);
+        const lineupPlusMinus = getLineupPlusMinus(scoringEvents).slice(0, 5);
+        const rotationRanking = rankRotations(rotationSchedule, scoringEvents, gameTime);
+        const formatPlusMinus = (value) => (value > 0 ? `+${value}` : String(value));
+        const plusMinusClass = (value) => (value > 0 ? 'text-green-700' : value < 0 ? 'text-red-600' : '');
+        return (
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-2xl font-bold">Plus/Minus</CardTitle>
+              <p className="text-sm text-gray-500">Points scored minus points conceded while on the field</p>
+            </CardHeader>
+            <CardContent>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                {/* By Player */}
+                <div>
+                  <h4 className="font-medium text-gray-700 mb-2">Players</h4>
+                  <table className="w-full border-collapse text-sm">
+                    <thead>
+                      <tr>
+                        <th className="p-2 border text-left">Player</th>
+                        <th className="p-2 border text-left">For</th>
+                        <th className="p-2 border text-left">Against</th>
+                        <th className="p-2 border text-left">+/-</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {playerPlusMinus.map(player => (
+                        <tr key={player.name}>
+                          <td className="p-2 border">{player.name}</td>
+                          <td className="p-2 border">{player.pointsFor}</td>
+                          <td className="p-2 border">{player.pointsAgainst}</td>
+                          <td className={`p-2 border font-semibold ${plusMinusClass(player.plusMinus)}`}>
+                            {formatPlusMinus(player.plusMinus)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                {/* By Rotation */}
+                <div>
+                  <h4 className="font-medium text-gray-700 mb-2">Rotations, Best First</h4>
+                  <table className="w-full border-collapse text-sm">
+                    <thead>
+                      <tr>
+                        <th className="p-2 border text-left">Rotation</th>
+                        <th className="p-2 border text-left">Minutes</th>
+                        <th className="p-2 border text-left">Score</th>
+                        <th className="p-2 border text-left">+/-</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rotationRanking.map(({ rotation, pointsFor, pointsAgainst, plusMinus, minutes }) => (
+                        <tr key={`${rotation.period}-${rotation.rotationNumber}`}>
+                          <td className="p-2 border" title={rotation.players.map(p => p.name).join(', ')}>
+                            P{rotation.period} R{rotation.rotationNumber}
+                          </td>
+                          <td className="p-2 border">{minutes.toFixed(1)}</td>
+                          <td className="p-2 border">{pointsFor}-{pointsAgainst}</td>
+                          <td className={`p-2 border font-semibold ${plusMinusClass(plusMinus)}`}>{formatPlusMinus(plusMinus)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+
+              {/* By Lineup */}
+              <div className="mt-6">
+                <h4 className="font-medium text-gray-700 mb-2">Top Lineups</h4>
+                <div className="space-y-1 text-sm">
+                  {lineupPlusMinus.map(lineup => (
+                    <div key={lineup.players.join('|')} className="flex justify-between items-center py-1 px-2 bg-gray-50 rounded">
+                      <span>{lineup.players.join(', ')}</span>
+                      <span className={`font-semibold ${plusMinusClass(lineup.plusMinus)}`}>
+                        {lineup.pointsFor}-{lineup.pointsAgainst} ({formatPlusMinus(lineup.plusMinus)})
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+        );
+      })()}
+
+      {/* Season Playing Time Card */}
+      {seasonGames.length > 0 && (() => {
+        const seasonSummary = summarizeSeason(seasonGames);
+        const playersBehind = getPlayersBehind(seasonSummary, Object.keys(seasonSummary));
+        return (
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-2xl font-bold">Season Playing Time</CardTitle>
+              <p className="text-sm text-gray-500">{seasonGames.length} saved game{seasonGames.length === 1 ? '' : 's'}</p>
+            </CardHeader>
+            <CardContent>
+              <div className="overflow-x-auto">
+                <table className="w-full border-collapse">
+                  <thead>
+                    <tr>
+                      <th className="p-2 border text-left">Player</th>
+                      <th className="p-2 border text-left">Games Attended</th>
+                      <th className="p-2 border text-left">Total Minutes</th>
+                      <th className="p-2 border text-left">Available Minutes</th>
+                      <th className="p-2 border text-left">% of Available Time</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(seasonSummary)
+                      .sort((a, b) => a[1].percentage - b[1].percentage)
+                      .map(([playerName, record]) => (
+                        <tr key={playerName}>
+                          <td className="p-2 border">
+                            {playerName}
+                            {playersBehind.includes(playerName) && (
+                              <span className="ml-2 text-xs text-yellow-700">behind</span>
+                            )}
+                          </td>
+                          <td className="p-2 border">{record.games}</td>
+                          <td className="p-2 border">{record.minutes.toFixed(1)}</td>
+                          <td className="p-2 border">{record.availableMinutes.toFixed(1)}</td>
+                          <td className="p-2 border">{record.percentage.toFixed(1)}%</td>
+                        </tr>
+                      ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="mt-4 pt-4 border-t">
+                <h4 className="font-medium text-gray-700 mb-2">Saved Games</h4>
+                <div className="space-y-1">
+                  {seasonGames.map(game => (
+                    <div key={game.id} className="flex justify-between items-center text-sm py-1 px-2 hover:bg-gray-50 rounded">
+                      <span>
+                        {new Date(game.date).toLocaleDateString()} - {Math.round(game.totalMinutes)} minutes, {Object.values(game.players).filter(p => p.availableMinutes > 0).length} players
+                      </span>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => removeSeasonGame(game.id)}
+                        className="text-gray-600 hover:text-red-600"
+                      >
+                        Remove
+                      </Button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+        );
+      })()}
     </div>
+
+    {/* Printable bench sheet - replaces the screen layout when printing */}
+    {rotationSchedule && <BenchSheet rotationSchedule={rotationSchedule} />}
   </div>
 );
 };
@@ -0,0 +1,111 @@
+// File: src/components/ScheduleTimeline.jsx
+import { useState } from 'react';
+import { Button } from './ui/button';
+import { formatTime } from '../lib/format';
+import { getStints, getPositionSegments, getPositionColor, getSkillColor } from '../lib/timeline';
+
+// Gantt-style view: one row per player with a bar for every stint on the field, period
+// boundaries marked, and a cursor at the live game time (when `gameTime` is given)
+const ScheduleTimeline = ({ rotationSchedule, players, skillScale = 5, gameTime = null }) => {
+  const { settings, stats } = rotationSchedule;
+  const hasPositions = settings.positionTemplate.length > 0;
+  const [colorBy, setColorBy] = useState(hasPositions ? 'position' : 'skill');
+  const totalSeconds = stats.totalGameTime * 60;
+  const percent = (time) => `${(time / totalSeconds) * 100}%`;
+
+  const getSkill = (name) =>
+    players.find(p => p.name === name)?.skill ??
+    rotationSchedule.rotations.flat().flatMap(rotation => rotation.players).find(p => p.name === name)?.skill ??
+    1;
+
+  const rows = Object.entries(stats.playerStats)
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([name, playerStats]) => {
+      const stints = getStints(playerStats.substitutionTimes).map(stint => ({ ...stint, end: stint.end ?? stint.start }));
+      // Position coloring splits a stint where the position changes
+      const bars = colorBy === 'position'
+        ? stints.flatMap(stint => getPositionSegments(rotationSchedule, name, stint).map(segment => ({
+          ...segment,
+          stint,
+          color: getPositionColor(segment.position, settings.positionTemplate)
+        })))
+        : stints.map(stint => ({ start: stint.start, end: stint.end, stint, color: getSkillColor(getSkill(name), skillScale) }));
+      return { name, minutes: playerStats.totalMinutes, bars };
+    });
+
+  const periodStarts = Array.from({ length: settings.periods }, (_, idx) => idx * settings.periodLength);
+
+  return (
+    <div className="space-y-3">
+      {hasPositions && (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span className="text-gray-600">Color by</span>
+          <Button variant={colorBy === 'position' ? 'default' : 'outline'} size="sm" onClick={() => setColorBy('position')}>
+            Position
+          </Button>
+          <Button variant={colorBy === 'skill' ? 'default' : 'outline'} size="sm" onClick={() => setColorBy('skill')}>
+            Skill
+          </Button>
+          {colorBy === 'position' && settings.positionTemplate.map(({ position }) => (
+            <span key={position} className="flex items-center gap-1">
+              <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: getPositionColor(position, settings.positionTemplate) }} />
+              {position}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="flex text-sm">
+        {/* Player Names */}
+        <div className="w-32 shrink-0">
+          <div className="h-5" />
+          {rows.map(row => (
+            <div key={row.name} className="h-6 mb-1 pr-2 truncate" title={`${row.name} - ${row.minutes.toFixed(1)} min`}>
+              {row.name}
+            </div>
+          ))}
+        </div>
+
+        {/* Tracks */}
+        <div className="relative flex-1 min-w-0">
+          <div className="relative h-5">
+            {periodStarts.map((start, idx) => (
+              <span key={idx} className="absolute text-xs text-gray-500 pl-1" style={{ left: percent(start) }}>
+                P{idx + 1}
+              </span>
+            ))}
+          </div>
+          {rows.map(row => (
+            <div key={row.name} className="relative h-6 mb-1 bg-gray-50 rounded">
+              {row.bars.map(bar => (
+                <div
+                  key={`${bar.start}-${bar.end}`}
+                  className="absolute top-0.5 bottom-0.5 rounded"
+                  style={{ left: percent(bar.start), width: percent(bar.end - bar.start), backgroundColor: bar.color }}
+                  title={`${row.name}: in ${formatTime(bar.stint.start)}, out ${formatTime(bar.stint.end)} ` +
+                    `(${((bar.stint.end - bar.stint.start) / 60).toFixed(1)} min)${bar.position ? ` - ${bar.position}` : ''}`}
+                />
+              ))}
+            </div>
+          ))}
+
+          {/* Period Boundaries */}
+          {periodStarts.slice(1).map(start => (
+            <div key={start} className="absolute top-0 bottom-0 border-l border-gray-400 border-dashed" style={{ left: percent(start) }} />
+          ))}
+
+          {/* Live Game Time */}
+          {gameTime !== null && gameTime > 0 && (
+            <div
+              className="absolute top-0 bottom-0 w-0.5 bg-red-500"
+              style={{ left: percent(Math.min(gameTime, totalSeconds)) }}
+              title={formatTime(gameTime)}
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleTimeline;
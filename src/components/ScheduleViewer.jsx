@@ -0,0 +1,162 @@
+// File: src/components/ScheduleViewer.jsx
+import { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import QrCode from './QrCode';
+import ScheduleTimeline from './ScheduleTimeline';
+import { formatTime } from '../lib/format';
+import { decodeShareLink } from '../lib/share';
+
+// Read-only view of a shared schedule: the rotations and every player's time, nothing editable
+const ScheduleViewer = ({ hash }) => {
+  const [shared, setShared] = useState(null);
+  const [error, setError] = useState(null);
+  const [showQr, setShowQr] = useState(false);
+
+  useEffect(() => {
+    decodeShareLink(hash)
+      .then(setShared)
+      .catch(() => setError('This share link is incomplete or damaged. Ask the coach to send it again.'));
+  }, [hash]);
+
+  if (error || !shared) {
+    return (
+      <div className="min-h-screen bg-gray-50 p-8">
+        <p className={`max-w-6xl mx-auto ${error ? 'text-red-600' : 'text-gray-500'}`}>{error || 'Loading schedule...'}</p>
+      </div>
+    );
+  }
+
+  const { teamName, rotationSchedule } = shared;
+  const { settings, stats } = rotationSchedule;
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8 print:p-0 print:bg-white">
+      <div className="max-w-6xl mx-auto space-y-6">
+        <Card>
+          <CardHeader>
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+              <div>
+                <CardTitle className="text-2xl font-bold">{teamName ? `${teamName} Rotations` : 'Rotation Schedule'}</CardTitle>
+                <p className="text-sm text-gray-500">
+                  {settings.periods} periods of {settings.periodLength / 60} min &middot; {settings.playersOnField} on the field &middot;
+                  target {stats.targetMinutesPerPlayer.toFixed(1)} min per player
+                </p>
+              </div>
+              <div className="flex gap-2 print:hidden">
+                <Button variant="outline" size="sm" onClick={() => setShowQr(!showQr)}>
+                  {showQr ? 'Hide QR Code' : 'Show QR Code'}
+                </Button>
+                <Button variant="outline" size="sm" onClick={() => window.print()}>
+                  Print
+                </Button>
+              </div>
+            </div>
+          </CardHeader>
+          {showQr && (
+            <CardContent className="flex justify-center print:hidden">
+              <QrCode text={window.location.href} />
+            </CardContent>
+          )}
+        </Card>
+
+        {/* Schedule Table */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-xl font-bold">Schedule</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="overflow-x-auto">
+              <table className="w-full border-collapse text-sm">
+                <thead>
+                  <tr>
+                    <th className="p-2 border text-left">Rotation</th>
+                    <th className="p-2 border text-left">Time</th>
+                    <th className="p-2 border text-left">Players</th>
+                    <th className="p-2 border text-left">Changes</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rotationSchedule.rotations.flat().map(rotation => (
+                    <tr key={`${rotation.period}-${rotation.rotationNumber}`}>
+                      <td className="p-2 border whitespace-nowrap">P{rotation.period} R{rotation.rotationNumber}</td>
+                      <td className="p-2 border whitespace-nowrap">
+                        {formatTime(rotation.startTime)}-{formatTime(rotation.endTime)}
+                      </td>
+                      <td className="p-2 border">
+                        {rotation.players.map(player => (
+                          player.position ? `${player.name} (${player.position})` : player.name
+                        )).join(', ')}
+                      </td>
+                      <td className="p-2 border">
+                        {rotation.subsIn.length > 0 && (
+                          <div><span className="text-green-700 font-medium">In: </span>{rotation.subsIn.join(', ')}</div>
+                        )}
+                        {rotation.subsOut.length > 0 && (
+                          <div><span className="text-red-700 font-medium">Out: </span>{rotation.subsOut.join(', ')}</div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </CardContent>
+        </Card>
+
+        {/* Timeline */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-xl font-bold">Timeline</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <ScheduleTimeline rotationSchedule={rotationSchedule} players={shared.players} />
+          </CardContent>
+        </Card>
+
+        {/* Player Times */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-xl font-bold">Player Times</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="overflow-x-auto">
+              <table className="w-full border-collapse text-sm">
+                <thead>
+                  <tr>
+                    <th className="p-2 border text-left">Player</th>
+                    <th className="p-2 border text-left">Minutes</th>
+                    <th className="p-2 border text-left">% of Game</th>
+                    <th className="p-2 border text-left">On / Off</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(stats.playerStats)
+                    .sort((a, b) => a[0].localeCompare(b[0]))
+                    .map(([name, playerStats]) => (
+                      <tr key={name}>
+                        <td className="p-2 border">{name}</td>
+                        <td className="p-2 border">{playerStats.totalMinutes.toFixed(1)}</td>
+                        <td className="p-2 border">{playerStats.percentageOfGame}%</td>
+                        <td className="p-2 border">
+                          {playerStats.substitutionTimes
+                            .map(sub => `${sub.type === 'in' ? 'On' : 'Off'} ${formatTime(sub.time)}`)
+                            .join(', ') || 'Not scheduled'}
+                        </td>
+                      </tr>
+                    ))}
+                </tbody>
+              </table>
+            </div>
+          </CardContent>
+        </Card>
+
+        <p className="text-center text-sm text-gray-500 print:hidden">
+          Shared read-only schedule. <a href={window.location.pathname} className="text-blue-600 underline">Open the rotation manager</a>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleViewer;
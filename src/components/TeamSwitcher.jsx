@@ -0,0 +1,88 @@
+// File: src/components/TeamSwitcher.jsx
+import { useState } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+
+// Switch between teams, and add, rename or delete them
+const TeamSwitcher = ({ teams, activeId, onSwitch, onAdd, onRename, onDelete }) => {
+  const [newName, setNewName] = useState('');
+  const [renaming, setRenaming] = useState(false);
+  const activeTeam = teams.find(team => team.id === activeId);
+  const [name, setName] = useState(activeTeam?.name ?? '');
+
+  const addTeam = () => {
+    if (!newName.trim()) return;
+    onAdd(newName.trim());
+    setNewName('');
+  };
+
+  const saveName = () => {
+    if (name.trim()) onRename(activeId, name.trim());
+    setRenaming(false);
+  };
+
+  return (
+    <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-2 bg-white border rounded-lg px-4 py-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium">Team</span>
+        {renaming ? (
+          <>
+            <Input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && saveName()}
+              className="w-48"
+            />
+            <Button size="sm" onClick={saveName}>Save</Button>
+          </>
+        ) : (
+          <>
+            <select
+              value={activeId}
+              onChange={(e) => onSwitch(e.target.value)}
+              className="px-2 py-1 text-sm border rounded-md"
+            >
+              {teams.map(team => (
+                <option key={team.id} value={team.id}>{team.name}</option>
+              ))}
+            </select>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => {
+                setName(activeTeam?.name ?? '');
+                setRenaming(true);
+              }}
+            >
+              Rename
+            </Button>
+            {teams.length > 1 && (
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => onDelete(activeId)}
+                className="text-gray-600 hover:text-red-600"
+              >
+                Delete
+              </Button>
+            )}
+          </>
+        )}
+      </div>
+      <div className="flex items-center gap-2">
+        <Input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && addTeam()}
+          placeholder="New team name"
+          className="w-48"
+        />
+        <Button variant="outline" size="sm" onClick={addTeam} disabled={!newName.trim()}>
+          Add Team
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default TeamSwitcher;
@@ -0,0 +1,42 @@
+// File: src/components/UpdatePrompt.jsx
+import { useRegisterSW } from 'virtual:pwa-register/react';
+import { Button } from './ui/button';
+
+// Tells the coach when the app can run offline, and offers to reload when a new version was deployed.
+// The new version waits until then, so a reload never happens in the middle of a game.
+const UpdatePrompt = () => {
+  const {
+    offlineReady: [offlineReady, setOfflineReady],
+    needRefresh: [needRefresh, setNeedRefresh],
+    updateServiceWorker
+  } = useRegisterSW();
+
+  if (!offlineReady && !needRefresh) return null;
+
+  const close = () => {
+    setOfflineReady(false);
+    setNeedRefresh(false);
+  };
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 max-w-sm bg-white border rounded-lg shadow-lg p-4 print:hidden">
+      <p className="text-sm mb-3">
+        {needRefresh
+          ? 'A new version of Rotation Manager is available. The game in progress is kept when you reload.'
+          : 'Rotation Manager is ready to work offline.'}
+      </p>
+      <div className="flex justify-end gap-2">
+        {needRefresh && (
+          <Button size="sm" onClick={() => updateServiceWorker(true)}>
+            Reload
+          </Button>
+        )}
+        <Button variant="outline" size="sm" onClick={close}>
+          {needRefresh ? 'Later' : 'OK'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default UpdatePrompt;
@@ -0,0 +1,92 @@
+// Substitution alerts: a Web Audio beep, a vibration and, while the tab is in the
+// background, a system notification naming the players going in and out.
+
+export const DEFAULT_ALERT_SETTINGS = {
+  enabled: false,
+  // Seconds before each change; 0 alerts right at the change
+  offsets: [30, 0],
+  sound: true,
+  vibration: true,
+  notification: true
+};
+
+let audioContext = null;
+
+// Browsers only allow audio after a user gesture, so call this from a click handler first
+export const unlockAudio = () => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+  if (!audioContext) audioContext = new AudioContextClass();
+  if (audioContext.state === 'suspended') audioContext.resume();
+};
+
+// Short sine beeps, `count` of them a little apart
+export const playBeep = ({ count = 1, frequency = 880, duration = 0.15 } = {}) => {
+  unlockAudio();
+  if (!audioContext) return;
+  for (let i = 0; i < count; i++) {
+    const start = audioContext.currentTime + i * duration * 2;
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.type = 'sine';
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.3, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(start);
+    oscillator.stop(start + duration);
+  }
+};
+
+export const vibrate = (pattern) => {
+  if (navigator.vibrate) navigator.vibrate(pattern);
+};
+
+export const notificationsSupported = () => 'Notification' in window;
+
+// Resolves to the permission state ('granted', 'denied' or 'default')
+export const requestNotificationPermission = async () => {
+  if (!notificationsSupported()) return 'denied';
+  if (Notification.permission !== 'default') return Notification.permission;
+  return Notification.requestPermission();
+};
+
+// Only shown while the page is hidden - in the foreground the beep and banner are enough
+export const showNotification = (title, body) => {
+  if (!notificationsSupported() || Notification.permission !== 'granted' || !document.hidden) return;
+  new Notification(title, { body, tag: 'rotation-alert', renotify: true });
+};
+
+// Parse "30, 0" into unique whole seconds, largest first
+export const parseAlertOffsets = (text) =>
+  Array.from(new Set(
+    text
+      .split(/[,\s]+/)
+      .filter(value => /^\d+$/.test(value))
+      .map(value => parseInt(value, 10))
+  )).sort((a, b) => b - a);
+
+export const describeChange = (rotation) =>
+  `In: ${rotation.subsIn.join(', ') || 'none'} / Out: ${rotation.subsOut.join(', ') || 'none'}`;
+
+// Rotations that change players inside a period (a new period starts with a fresh lineup anyway)
+const getChanges = (rotationSchedule) =>
+  rotationSchedule.rotations
+    .flatMap(periodRotations => periodRotations.slice(1))
+    .filter(rotation => rotation.subsIn.length > 0 || rotation.subsOut.length > 0);
+
+// Alerts whose time falls in (fromTime, toTime]: one per offset before every change inside a period.
+// Returns { rotation, offset, time } with `rotation` the lineup coming on.
+export const getDueAlerts = (rotationSchedule, fromTime, toTime, offsets) =>
+  getChanges(rotationSchedule)
+    .flatMap(rotation => offsets.map(offset => ({ rotation, offset, time: rotation.startTime - offset })))
+    .filter(alert => alert.time > fromTime && alert.time <= toTime)
+    .sort((a, b) => a.time - b.time);
+
+// With a stopped clock, players can only come on at a dead ball. When the clock stops at `stoppedAt`
+// after running since `runningSince`, this is the latest change that came due meanwhile (the one to
+// make now), or null.
+export const getChangeDueAtStop = (rotationSchedule, runningSince, stoppedAt) =>
+  getChanges(rotationSchedule)
+    .filter(rotation => rotation.startTime > runningSince && rotation.startTime <= stoppedAt)
+    .at(-1) ?? null;
@@ -0,0 +1,82 @@
+import { formatTime } from './format';
+
+// Quote a CSV field when it contains separators, quotes or line breaks
+const escapeCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) =>
+  rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n');
+
+const describePlayer = (player) =>
+  player.position ? `${player.name} (${player.position})` : player.name;
+
+// One row per rotation, with the lineup and the changes made at its start
+export const scheduleToCsv = (rotationSchedule) => {
+  const header = ['Period', 'Rotation', 'Start Time', 'End Time', 'Duration (min)', 'Players', 'Lineup Strength', 'In', 'Out'];
+  const rows = rotationSchedule.rotations.flat().map(rotation => [
+    rotation.period,
+    rotation.rotationNumber,
+    formatTime(rotation.startTime),
+    formatTime(rotation.endTime),
+    ((rotation.endTime - rotation.startTime) / 60).toFixed(2),
+    rotation.players.map(describePlayer).join('; '),
+    rotation.players.reduce((sum, player) => sum + (player.skill || 0), 0),
+    (rotation.subsIn || []).join('; '),
+    (rotation.subsOut || []).join('; ')
+  ]);
+  return toCsv([header, ...rows]);
+};
+
+// One row per substitution of every player, in game order
+export const substitutionsToCsv = (rotationSchedule) => {
+  const header = ['Player', 'Type', 'Time', 'Period', 'Rotation', 'Game Minute', 'Total Minutes'];
+  const rows = Object.entries(rotationSchedule.stats.playerStats)
+    .flatMap(([name, stats]) => stats.substitutionTimes.map(sub => [
+      name,
+      sub.type === 'in' ? 'In' : 'Out',
+      formatTime(sub.time),
+      sub.period,
+      sub.rotation,
+      sub.gameMinute,
+      stats.totalMinutes.toFixed(1),
+      sub.time
+    ]))
+    .sort((a, b) => a[7] - b[7] || a[0].localeCompare(b[0]))
+    .map(row => row.slice(0, 7));
+  return toCsv([header, ...rows]);
+};
+
+// One row per player with planned and actual minutes, per period and in total
+export const plannedVsActualToCsv = (report) => {
+  const periods = report.players[0]?.periods.length ?? 0;
+  const header = [
+    'Player',
+    ...Array.from({ length: periods }, (_, idx) => [`P${idx + 1} Planned`, `P${idx + 1} Actual`]).flat(),
+    'Planned Minutes',
+    'Actual Minutes',
+    'Difference'
+  ];
+  const rows = report.players.map(player => [
+    player.name,
+    ...player.periods.flatMap(period => [period.planned.toFixed(1), period.actual.toFixed(1)]),
+    player.planned.toFixed(1),
+    player.actual.toFixed(1),
+    player.difference.toFixed(1)
+  ]);
+  return toCsv([header, ...rows]);
+};
+
+// Hand a generated file to the browser as a download
+export const downloadFile = (filename, content, type = 'text/csv;charset=utf-8') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers cancel the download if the URL goes away before it has started
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,31 @@
+// Utility function for time formatting
+export const formatTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+// Parse "m:ss" back into seconds, null when unreadable. A bare number is whole minutes, since
+// that is what someone typing "4" at a clock means.
+export const parseTime = (text) => {
+  const match = text.trim().match(/^(\d+)(?::([0-5]?\d))?$/);
+  if (!match) return null;
+  return parseInt(match[1], 10) * 60 + (match[2] === undefined ? 0 : parseInt(match[2], 10));
+};
+
+// Parse set times typed as "4:00, 7:30" into seconds into a period of `periodLength` seconds.
+// Returns { times, error }: `error` names the entries that aren't times or don't fall inside the
+// period (a sub at 0:00 or at the final whistle isn't a sub), and is null when every entry is fine.
+export const parseTimeList = (text, periodLength) => {
+  const entries = text.split(/[,\s]+/).filter(entry => entry.length > 0);
+  const times = entries.map(parseTime);
+  const unreadable = entries.filter((entry, idx) => times[idx] === null);
+  if (unreadable.length > 0) {
+    return { times: [], error: `${unreadable.join(', ')}: not a time (m:ss or whole minutes)` };
+  }
+  const outside = entries.filter((entry, idx) => times[idx] <= 0 || times[idx] >= periodLength);
+  if (outside.length > 0) {
+    return { times: [], error: `${outside.join(', ')}: not inside the ${formatTime(periodLength)} period` };
+  }
+  return { times, error: null };
+};
@@ -0,0 +1,26 @@
+// Game clock based on wall-clock timestamps, so it stays accurate when the
+// browser throttles timers or the tab is in the background.
+// A clock is { running, baseTime, startedAt }: the game time (seconds) when it was last
+// started or set, and the Date.now() of that moment while it is running.
+
+export const createClock = (baseTime = 0) => ({ running: false, baseTime, startedAt: null });
+
+export const getClockTime = (clock, now = Date.now()) =>
+  clock.running ? clock.baseTime + Math.max(0, now - clock.startedAt) / 1000 : clock.baseTime;
+
+export const startClock = (clock, now = Date.now()) =>
+  clock.running ? clock : { running: true, baseTime: clock.baseTime, startedAt: now };
+
+export const stopClock = (clock, now = Date.now()) =>
+  clock.running ? { running: false, baseTime: getClockTime(clock, now), startedAt: null } : clock;
+
+// Jump to a game time, e.g. to match the official scoreboard
+export const setClockTime = (clock, time, now = Date.now()) => ({
+  ...clock,
+  baseTime: Math.max(0, time),
+  startedAt: clock.running ? now : null
+});
+
+// The period boundary a running clock stops at
+export const getPeriodEnd = (clock, periodLength) =>
+  (Math.floor(clock.baseTime / periodLength) + 1) * periodLength;
@@ -0,0 +1,40 @@
+// Undo/redo history. Each entry is { label, snapshot, time }: what the action was called and the
+// state from before it (in `past`) or from after it (in `future`, once undone).
+
+// Entries kept; older ones are dropped
+const HISTORY_LIMIT = 50;
+// Repeats of the same action this close together (typing, +/- taps) undo as one
+const COALESCE_MS = 1500;
+
+export const createHistory = () => ({ past: [], future: [] });
+
+// Record an action about to change the state from `snapshot`; a new action clears the redo list
+export const recordAction = (history, label, snapshot, now = Date.now()) => {
+  const last = history.past.at(-1);
+  if (last && last.label === label && now - last.time < COALESCE_MS) {
+    return { past: [...history.past.slice(0, -1), { ...last, time: now }], future: [] };
+  }
+  return { past: [...history.past, { label, snapshot, time: now }].slice(-HISTORY_LIMIT), future: [] };
+};
+
+// Step back: returns the snapshot to restore and the history with `current` kept for redo,
+// or null when there is nothing to undo
+export const undoAction = (history, current) => {
+  const entry = history.past.at(-1);
+  if (!entry) return null;
+  return {
+    label: entry.label,
+    snapshot: entry.snapshot,
+    history: { past: history.past.slice(0, -1), future: [{ ...entry, snapshot: current }, ...history.future] }
+  };
+};
+
+export const redoAction = (history, current) => {
+  const entry = history.future[0];
+  if (!entry) return null;
+  return {
+    label: entry.label,
+    snapshot: entry.snapshot,
+    history: { past: [...history.past, { ...entry, snapshot: current }], future: history.future.slice(1) }
+  };
+};
@@ -0,0 +1,97 @@
+// Live game sync between tabs (BroadcastChannel) and devices on the LAN (an optional WebSocket
+// relay, see bin/sync-relay.js). One device is the controller and sends its game state; the
+// others follow and mirror it. Devices join as followers until one takes control. Each team has its
+// own channel, and messages are { type, from, team, ... } where `from` is the sender's device id and
+// `team` the team whose game it is (the relay passes every team's messages to every device):
+//   { type: 'state', game }    the controller's game state
+//   { type: 'hello' }          a follower asking for the current state
+//   { type: 'controller' }     a device taking control, which makes the old controller a follower
+import { getClockTime } from './gameClock.js';
+
+const CHANNEL_NAME = 'rotation-manager-live';
+const RECONNECT_DELAY = 3000;
+
+export const DEFAULT_SYNC_SETTINGS = { enabled: false, role: 'follower', relayUrl: '' };
+
+export const createDeviceId = () =>
+  (typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : `device-${Date.now()}-${Math.random()}`);
+
+// A page served over https may only open wss:// connections; browsers block ws:// as mixed content
+const isBlockedByPage = (url) =>
+  typeof location !== 'undefined' && location.protocol === 'https:' && /^ws:\/\//i.test(url);
+
+// Open the team's tab channel and, when a relay URL is given, the relay connection (reconnecting when it
+// drops); messages for other teams are dropped.
+// `onStatusChange(status, detail)` gets 'connecting', 'connected', 'disconnected' (retrying) or 'error'
+// (the relay can't be used as given) with a readable reason. Returns { send, close }.
+export const openSyncChannel = ({ deviceId, teamId, relayUrl, onMessage, onStatusChange = () => {} }) => {
+  const receive = (message) => {
+    if (message && message.from !== deviceId && message.team === teamId) onMessage(message);
+  };
+
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(`${CHANNEL_NAME}:${teamId}`) : null;
+  if (channel) channel.onmessage = (event) => receive(event.data);
+
+  let socket = null;
+  let retryTimer = null;
+  let closed = false;
+  const connect = () => {
+    if (isBlockedByPage(relayUrl)) {
+      onStatusChange('error', 'this page is on https, so the browser only allows a wss:// relay');
+      return;
+    }
+    onStatusChange('connecting');
+    let opened = false;
+    try {
+      socket = new WebSocket(relayUrl);
+    } catch (error) {
+      // A malformed address or one the browser refuses outright; retrying won't change that
+      onStatusChange('error', error.message);
+      return;
+    }
+    socket.onopen = () => {
+      opened = true;
+      onStatusChange('connected');
+    };
+    socket.onmessage = (event) => {
+      try {
+        receive(JSON.parse(event.data));
+      } catch {
+        // Not one of ours
+      }
+    };
+    socket.onclose = (event) => {
+      if (closed) return;
+      onStatusChange('disconnected', event.reason || (opened ? 'connection lost, retrying' : `can't reach ${relayUrl}, retrying`));
+      retryTimer = setTimeout(connect, RECONNECT_DELAY);
+    };
+  };
+  if (relayUrl) connect();
+
+  return {
+    send: (message) => {
+      const outgoing = { ...message, from: deviceId, team: teamId };
+      channel?.postMessage(outgoing);
+      if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(outgoing));
+    },
+    close: () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      channel?.close();
+      socket?.close();
+    }
+  };
+};
+
+// The clock travels as elapsed game time rather than timestamps, since device clocks disagree
+export const createStateMessage = ({ clock, ...game }, now = Date.now()) => ({
+  type: 'state',
+  game: { ...game, clock: { running: clock.running, time: getClockTime(clock, now) } }
+});
+
+// Rebuild a local clock from a received state, taking the time it arrived as the moment it was sent
+export const clockFromMessage = ({ running, time }, now = Date.now()) => ({
+  running,
+  baseTime: time,
+  startedAt: running ? now : null
+});
@@ -0,0 +1,167 @@
+// Optimizing scheduler: improves a generated schedule with local search (simulated annealing)
+// over player swaps and substitution times, trading off playing time spread, lineup strength
+// balance and lineup rules.
+import { getWindowAbsences, isPlayerAvailable, moveScheduledPlayer, recalculateSchedule } from './scheduler.js';
+
+// How much each part of the score counts; lower scores are better
+const SCORE_WEIGHTS = {
+  timeSpread: 10,
+  timeDeviation: 2,
+  skillImbalance: 2,
+  outOfPosition: 5,
+  violations: 100
+};
+
+const standardDeviation = (values) => {
+  const mean = values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length || 1));
+};
+
+// Score a schedule: { timeSpread, timeDeviation, skillImbalance, outOfPosition, violations, total }.
+// Times are in minutes, measured against each player's own target; skillImbalance is the standard
+// deviation of lineup strength.
+export const scoreSchedule = (schedule, absences = []) => {
+  const { stats } = schedule;
+  const balancedMinutes = Object.entries(stats.playerStats)
+    .filter(([name]) => !absences.some(absence => absence.name === name && absence.to === null))
+    .map(([, playerStats]) => playerStats.totalMinutes - playerStats.targetMinutes);
+  const parts = {
+    timeSpread: stats.maxTimeDifference,
+    timeDeviation: standardDeviation(balancedMinutes),
+    skillImbalance: stats.lineupStrength.standardDeviation,
+    outOfPosition: stats.outOfPositionCount,
+    violations: (schedule.violations || []).reduce((count, violation) => count + Math.max(1, violation.rotations.length), 0)
+  };
+  return {
+    ...parts,
+    total: Object.entries(parts).reduce((sum, [part, value]) => sum + SCORE_WEIGHTS[part] * value, 0)
+  };
+};
+
+// Substitution times move in steps of this many seconds, and no rotation gets shorter than the minimum
+const SHIFT_STEP = 30;
+const MIN_ROTATION_LENGTH = 60;
+
+// The search runs in slices of this many milliseconds, handing the thread back in between so the
+// page stays responsive (clock, buttons, alerts) while it runs
+const SLICE_MS = 50;
+
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const randomItem = (items) => items[Math.floor(Math.random() * items.length)];
+
+// Move the substitution between rotation `idx` and the next one of a period by `delta` seconds.
+// With a fixed rotation length the minutes often can't be split evenly; uneven rotations can.
+const shiftSubstitution = (rotations, period, idx, delta, absences) => {
+  const before = rotations[period][idx];
+  const after = rotations[period][idx + 1];
+  const time = before.endTime + delta;
+  if (time - before.startTime < MIN_ROTATION_LENGTH || after.endTime - time < MIN_ROTATION_LENGTH) return null;
+  const isAvailable = (rotation, startTime, endTime) =>
+    rotation.players.every(player => isPlayerAvailable(player.name, startTime, endTime, absences));
+  if (!isAvailable(before, before.startTime, time) || !isAvailable(after, time, after.endTime)) return null;
+
+  const retime = (rotation, startTime, endTime) => ({
+    ...rotation,
+    startTime,
+    endTime,
+    durationMinutes: (endTime - startTime) / 60,
+    gameMinute: Math.floor(startTime / 60)
+  });
+  return rotations.map((periodRotations, p) => (p !== period ? periodRotations : periodRotations.map((rotation, r) => {
+    if (r === idx) return retime(rotation, rotation.startTime, time);
+    if (r === idx + 1) return retime(rotation, time, rotation.endTime);
+    return rotation;
+  })));
+};
+
+// A random change to try: bring a bench player on in one rotation, or swap two players between rotations
+const randomMove = (rotations, players, absences) => {
+  const locations = rotations.flatMap((periodRotations, period) =>
+    periodRotations.map((rotation, idx) => ({ period, rotation: idx, data: rotation })));
+  const source = randomItem(locations);
+  const fieldPlayer = randomItem(source.data.players);
+  if (!fieldPlayer) return null;
+  const location = { period: source.period, rotation: source.rotation };
+
+  if (Math.random() < 0.5) {
+    const bench = players.filter(player =>
+      !source.data.players.some(p => p.name === player.name) &&
+      isPlayerAvailable(player.name, source.data.startTime, source.data.endTime, absences));
+    if (bench.length === 0) return null;
+    return [{ ...location, name: randomItem(bench).name, bench: true }, { ...location, name: fieldPlayer.name }];
+  }
+
+  const target = randomItem(locations);
+  const targetPlayer = randomItem(target.data.players);
+  if (!targetPlayer || target === source) return null;
+  // Only trade players who are both available for both rotations
+  const canPlayBoth = [fieldPlayer, targetPlayer].every(player =>
+    isPlayerAvailable(player.name, source.data.startTime, source.data.endTime, absences) &&
+    isPlayerAvailable(player.name, target.data.startTime, target.data.endTime, absences));
+  if (!canPlayBoth) return null;
+  return [{ ...location, name: fieldPlayer.name }, { period: target.period, rotation: target.rotation, name: targetPlayer.name }];
+};
+
+// Search for a better schedule than `schedule` (a generateRotations result) for up to `timeBudget` ms.
+// Resolves to { schedule, score, iterations }; the schedule is the input itself when nothing better
+// turned up. `onProgress` is called between slices with the share of the time budget used (0-1).
+export const optimizeSchedule = async (schedule, players, { timeBudget = 1000, absences = [], onProgress = null } = {}) => {
+  const startedAt = Date.now();
+  let current = schedule;
+  let currentScore = scoreSchedule(schedule, absences);
+  let best = current;
+  let bestScore = currentScore;
+  let iterations = 0;
+  // Moves must also keep players off the field before they arrive and after they leave
+  const unavailable = [...absences, ...getWindowAbsences(schedule.settings.availability, schedule.stats.totalGameTime * 60)];
+  // Substitutions locked to league windows or to a rotation length the coach set can't be moved
+  const canShiftSubstitutions = (schedule.settings.substitutionWindows?.mode ?? 'even') === 'even' &&
+    !schedule.settings.rotationDuration;
+
+  let sliceStartedAt = startedAt;
+
+  while (Date.now() - startedAt < timeBudget) {
+    if (Date.now() - sliceStartedAt >= SLICE_MS) {
+      onProgress?.(Math.min(1, (Date.now() - startedAt) / timeBudget));
+      await yieldToEventLoop();
+      sliceStartedAt = Date.now();
+    }
+    iterations++;
+    let rotations;
+    if (canShiftSubstitutions && Math.random() < 0.2) {
+      const period = Math.floor(Math.random() * current.rotations.length);
+      const idx = Math.floor(Math.random() * (current.rotations[period].length - 1));
+      rotations = idx >= 0 && shiftSubstitution(current.rotations, period, idx, Math.random() < 0.5 ? -SHIFT_STEP : SHIFT_STEP, unavailable);
+    } else {
+      const move = randomMove(current.rotations, players, unavailable);
+      rotations = move && moveScheduledPlayer(current.rotations, players, current.settings, move[0], move[1]);
+    }
+    if (!rotations) continue;
+
+    const candidate = recalculateSchedule(current, rotations, players, absences);
+    const candidateScore = scoreSchedule(candidate, absences);
+    // Accept worse schedules now and then early on, so the search can leave a local optimum
+    const temperature = 2 * (1 - (Date.now() - startedAt) / timeBudget);
+    const delta = candidateScore.total - currentScore.total;
+    if (delta <= 0 || Math.random() < Math.exp(-delta / Math.max(temperature, 0.01))) {
+      current = candidate;
+      currentScore = candidateScore;
+      if (currentScore.total < bestScore.total) {
+        best = current;
+        bestScore = currentScore;
+      }
+    }
+  }
+
+  // Swaps mark rotations as hand-edited; an optimized schedule is still a generated one
+  const cleaned = best === schedule ? schedule : {
+    ...best,
+    rotations: best.rotations.map(periodRotations => periodRotations.map(rotation => {
+      const copy = { ...rotation };
+      delete copy.edited;
+      return copy;
+    }))
+  };
+  return { schedule: cleaned, score: bestScore, iterations };
+};
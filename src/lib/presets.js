@@ -0,0 +1,129 @@
+// Sport and league presets: the game format in one step (periods, on-field count, positions,
+// substitution rules and clock), never the roster. Custom presets are stored next to the built-in ones.
+
+// Settings a preset sets
+export const PRESET_FIELDS = [
+  'periods',
+  'periodLength',
+  'playersOnField',
+  'positionTemplate',
+  'substitutionMode',
+  'subsPerChange',
+  'rotationDuration',
+  'substitutionWindows',
+  'clockMode'
+];
+
+export const BUILT_IN_PRESETS = [
+  {
+    id: 'standard',
+    name: 'Standard (4 x 10 min, 5 on)',
+    settings: {
+      periods: 4,
+      periodLength: 600,
+      playersOnField: 5,
+      positionTemplate: [],
+      substitutionMode: 'line',
+      subsPerChange: 2,
+      rotationDuration: null,
+      substitutionWindows: { mode: 'even', parts: 2, times: [] },
+      clockMode: 'running'
+    }
+  },
+  {
+    id: 'youth-basketball',
+    name: 'Youth Basketball (4 x 8 min, 5 on court)',
+    settings: {
+      periods: 4,
+      periodLength: 480,
+      playersOnField: 5,
+      positionTemplate: [],
+      substitutionMode: 'line',
+      subsPerChange: 2,
+      rotationDuration: null,
+      // Subs at the mid-quarter break
+      substitutionWindows: { mode: 'split', parts: 2, times: [] },
+      clockMode: 'stopped'
+    }
+  },
+  {
+    id: 'soccer-7v7',
+    name: '7v7 Soccer (2 x 25 min)',
+    settings: {
+      periods: 2,
+      periodLength: 1500,
+      playersOnField: 7,
+      positionTemplate: [
+        { position: 'GK', count: 1 },
+        { position: 'DEF', count: 2 },
+        { position: 'MID', count: 2 },
+        { position: 'FWD', count: 2 }
+      ],
+      substitutionMode: 'rolling',
+      subsPerChange: 2,
+      rotationDuration: null,
+      substitutionWindows: { mode: 'even', parts: 2, times: [] },
+      clockMode: 'running'
+    }
+  },
+  {
+    id: 'soccer-11v11',
+    name: '11v11 Soccer (2 x 35 min)',
+    settings: {
+      periods: 2,
+      periodLength: 2100,
+      playersOnField: 11,
+      positionTemplate: [
+        { position: 'GK', count: 1 },
+        { position: 'DEF', count: 4 },
+        { position: 'MID', count: 4 },
+        { position: 'FWD', count: 2 }
+      ],
+      substitutionMode: 'rolling',
+      subsPerChange: 3,
+      rotationDuration: null,
+      substitutionWindows: { mode: 'even', parts: 2, times: [] },
+      clockMode: 'running'
+    }
+  },
+  {
+    id: 'hockey-3-lines',
+    name: 'Hockey (3 x 12 min, 3 lines)',
+    settings: {
+      periods: 3,
+      periodLength: 720,
+      playersOnField: 5,
+      positionTemplate: [
+        { position: 'F', count: 3 },
+        { position: 'D', count: 2 }
+      ],
+      substitutionMode: 'line',
+      subsPerChange: 2,
+      // Short shifts so three lines cycle through each period
+      rotationDuration: 90,
+      substitutionWindows: { mode: 'even', parts: 2, times: [] },
+      clockMode: 'stopped'
+    }
+  }
+];
+
+export const DEFAULT_PRESET_ID = 'standard';
+
+// Built-in presets first, then the saved ones
+export const getAllPresets = (customPresets = []) => [...BUILT_IN_PRESETS, ...customPresets];
+
+export const findPreset = (presets, id) =>
+  presets.find(preset => preset.id === id) || BUILT_IN_PRESETS.find(preset => preset.id === DEFAULT_PRESET_ID);
+
+// Game format a team's new teams and new games start with: its default preset, or the standard one
+// when that preset has been deleted
+export const getDefaultFormat = (customPresets, defaultPresetId) =>
+  findPreset(getAllPresets(customPresets), defaultPresetId).settings;
+
+// Snapshot the current game format as a custom preset
+export const createPreset = (name, settings) => ({
+  id: `custom-${Date.now()}`,
+  name,
+  custom: true,
+  settings: Object.fromEntries(PRESET_FIELDS.map(field => [field, settings[field]]))
+});
@@ -0,0 +1,149 @@
+// Parse pasted or uploaded CSV/TSV rosters into players, flagging problems for a preview.
+// Columns (header row optional): name, jersey number, skill, positions, notes.
+
+const COLUMN_ALIASES = {
+  name: ['name', 'player', 'player name', 'full name'],
+  jersey: ['jersey', 'jersey number', 'number', 'no', 'no.', '#', 'num'],
+  skill: ['skill', 'rating', 'level', 'skill rating'],
+  positions: ['positions', 'position', 'pos'],
+  notes: ['notes', 'note', 'comments', 'comment']
+};
+
+const DEFAULT_COLUMNS = ['name', 'jersey', 'skill', 'positions', 'notes'];
+
+// Tabs win when present, otherwise whichever of comma or semicolon appears more
+const detectDelimiter = (lines) => {
+  const text = lines.join('\n');
+  if (text.includes('\t')) return '\t';
+  const commas = (text.match(/,/g) || []).length;
+  const semicolons = (text.match(/;/g) || []).length;
+  return semicolons > commas ? ';' : ',';
+};
+
+// Split one line into fields, honouring double-quoted fields
+const splitLine = (line, delimiter) => {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+const matchColumn = (heading) => {
+  const normalized = heading.trim().toLowerCase();
+  return Object.keys(COLUMN_ALIASES).find(column => COLUMN_ALIASES[column].includes(normalized)) || null;
+};
+
+// Positions inside a cell are separated by slashes, pipes or spaces ("GK/DEF")
+const parsePositions = (value) =>
+  value
+    .split(/[/|\s]+/)
+    .map(position => position.trim().toUpperCase())
+    .filter(position => position.length > 0);
+
+const isNumeric = (value) => /^\d+(\.\d+)?$/.test(value);
+
+// Parse roster text into preview rows. Each row has the parsed `player`, any `errors` that block
+// importing it, `warnings` that don't, and `duplicate` ('roster' or 'import') when the name is taken.
+export const parseRoster = (text, { existingPlayers = [], skillScale = 5 } = {}) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+  if (lines.length === 0) return { rows: [], hasHeader: false };
+
+  const delimiter = detectDelimiter(lines);
+  const firstFields = splitLine(lines[0], delimiter);
+  const headerColumns = firstFields.map(matchColumn);
+  const hasHeader = headerColumns.includes('name');
+  const columns = hasHeader ? headerColumns : DEFAULT_COLUMNS;
+  const dataLines = (hasHeader ? lines.slice(1) : lines).map((line, idx) => ({
+    lineNumber: idx + (hasHeader ? 2 : 1),
+    fields: splitLine(line, delimiter)
+  }));
+
+  // Without a header, a list where no field looks like a number is just names (old "paste names" format)
+  const isNameList = !hasHeader && delimiter !== '\t' &&
+    dataLines.every(({ fields }) => fields.slice(1).every(field => !isNumeric(field)));
+  const records = isNameList
+    ? dataLines.flatMap(({ lineNumber, fields }) =>
+      fields
+        .flatMap(field => field.split(/[,;]+/))
+        .map(name => name.trim())
+        .filter(name => name.length > 0)
+        .map(name => ({ lineNumber, values: { name } })))
+    : dataLines.map(({ lineNumber, fields }) => ({
+      lineNumber,
+      values: Object.fromEntries(
+        columns.map((column, idx) => [column, fields[idx] ?? '']).filter(([column]) => column)
+      )
+    }));
+
+  const seenNames = new Set();
+  const seenJerseys = new Set(existingPlayers.filter(p => p.jersey !== undefined).map(p => p.jersey));
+  const defaultSkill = Math.ceil(skillScale / 2);
+
+  const rows = records.map(({ lineNumber, values }) => {
+    const errors = [];
+    const warnings = [];
+    const name = (values.name || '').trim();
+    const player = { name, skill: defaultSkill };
+
+    if (!name) errors.push('Missing name');
+
+    if (values.jersey) {
+      if (/^\d+$/.test(values.jersey)) {
+        player.jersey = parseInt(values.jersey, 10);
+        if (seenJerseys.has(player.jersey)) warnings.push(`Jersey #${player.jersey} is already used`);
+        seenJerseys.add(player.jersey);
+      } else {
+        errors.push(`Jersey number "${values.jersey}" is not a number`);
+      }
+    }
+
+    if (values.skill) {
+      const skill = Number(values.skill);
+      if (isNaN(skill) || skill < 1 || skill > skillScale) {
+        errors.push(`Skill "${values.skill}" is outside 1-${skillScale}`);
+      } else {
+        player.skill = skill;
+      }
+    }
+
+    if (values.positions) player.positions = parsePositions(values.positions);
+    if (values.notes) player.notes = values.notes.trim();
+
+    let duplicate = null;
+    if (name && existingPlayers.some(p => p.name === name)) {
+      duplicate = 'roster';
+    } else if (name && seenNames.has(name)) {
+      duplicate = 'import';
+    }
+    seenNames.add(name);
+
+    return { lineNumber, player, errors, warnings, duplicate };
+  });
+
+  return { rows, hasHeader };
+};
+
+// Rows that can be added to the roster as-is
+export const getImportablePlayers = (rows) =>
+  rows.filter(row => row.errors.length === 0 && !row.duplicate).map(row => row.player);
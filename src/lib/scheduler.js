@@ -0,0 +1,996 @@
+// Headless rotation scheduling engine, shared by the app and the rotation-plan CLI.
+// Plain functions over plain JSON - no React, no DOM - so it runs in the browser and in Node.
+//
+// Input: players as [{ name, skill, jersey?, positions?, notes? }] plus the game settings
+// (players on field, periods, period length and rotation length in seconds). See README.md
+// for the full option list and the shape of the schedule generateRotations returns.
+
+// Helper function to calculate optimal rotation duration.
+// With rolling substitutions only `playersPerChange` players swap at each change.
+export const calculateOptimalRotationDuration = (totalPlayers, playersOnField, periodLength, playersPerChange = playersOnField) => {
+  const minimumRotationsNeeded = Math.ceil(totalPlayers / playersPerChange);
+  const optimalDuration = Math.floor(periodLength / minimumRotationsNeeded);
+  
+  return {
+    recommendedDuration: optimalDuration,
+    rotationsPerPeriod: minimumRotationsNeeded,
+    rotationLengthMinutes: optimalDuration / 60
+  };
+};
+
+// Parse a position template written as "GK:1, DEF:2, FWD:2"
+export const parsePositionTemplate = (text) =>
+  text
+    .split(/[,;]+/)
+    .map(part => part.trim())
+    .filter(part => part.length > 0)
+    .map(part => {
+      const [position, count = '1'] = part.split(/[:\s]+/);
+      return { position: position.toUpperCase(), count: parseInt(count, 10) };
+    })
+    .filter(({ count }) => !isNaN(count) && count > 0);
+
+export const formatPositionTemplate = (positionTemplate) =>
+  positionTemplate.map(({ position, count }) => `${position}:${count}`).join(', ');
+
+// Sum of the skill ratings of a lineup
+export const getLineupStrength = (lineup) => lineup.reduce((sum, player) => sum + (player.skill || 0), 0);
+
+// Find the rotation being played at a given game time
+export const findRotationAt = (rotationSchedule, time) =>
+  rotationSchedule.rotations.flat().find(rot => time >= rot.startTime && time < rot.endTime);
+
+// Period and rotation indexes at a game time; after the final whistle the last rotation stays shown
+export const getRotationPosition = (rotationSchedule, time) => {
+  const rotation = findRotationAt(rotationSchedule, time) || rotationSchedule.rotations.flat().at(-1);
+  return rotation
+    ? { period: rotation.period - 1, rotation: rotation.rotationNumber - 1 }
+    : { period: 0, rotation: 0 };
+};
+
+// Check that a player has no recorded absence overlapping [startTime, endTime)
+export const isPlayerAvailable = (playerName, startTime, endTime, absences = []) =>
+  !absences.some(absence =>
+    absence.name === playerName &&
+    absence.from < endTime &&
+    (absence.to === null || absence.to > startTime)
+  );
+
+// Planned availability windows { [name]: { from, to } } (`to` null for the final whistle) as absences,
+// so the same availability checks cover players arriving late or leaving early
+export const getWindowAbsences = (availability = {}, totalGameTime) =>
+  Object.entries(availability).flatMap(([name, { from, to }]) => [
+    ...(from > 0 ? [{ name, from: 0, to: from }] : []),
+    ...(to !== null && to < totalGameTime ? [{ name, from: to, to: totalGameTime }] : [])
+  ]);
+
+// Seconds of the game a player is there for according to their availability window
+export const getAvailableTime = (playerName, availability = {}, totalGameTime) => {
+  const span = availability[playerName];
+  if (!span) return totalGameTime;
+  return Math.max(0, Math.min(span.to ?? totalGameTime, totalGameTime) - Math.max(span.from, 0));
+};
+
+// Fair playing time per player in seconds: the field time shared in proportion to the time each player
+// is there. Nobody can play longer than they are there, so their surplus is shared among the rest.
+export const getPlayerTargets = (names, availability, totalGameTime, playersOnField) => {
+  const available = new Map(names.map(name => [name, getAvailableTime(name, availability, totalGameTime)]));
+  const targets = new Map();
+  let fieldTime = playersOnField * totalGameTime;
+  let sharing = names;
+  while (sharing.length > 0) {
+    const totalAvailable = sharing.reduce((sum, name) => sum + available.get(name), 0);
+    const share = (name) => (totalAvailable > 0 ? fieldTime * available.get(name) / totalAvailable : 0);
+    const capped = sharing.filter(name => share(name) > available.get(name));
+    if (capped.length === 0) {
+      sharing.forEach(name => targets.set(name, share(name)));
+      break;
+    }
+    capped.forEach(name => {
+      targets.set(name, available.get(name));
+      fieldTime -= available.get(name);
+    });
+    sharing = sharing.filter(name => !capped.includes(name));
+  }
+  return targets;
+};
+
+// Build playing time statistics from a list of rotations.
+// Each player's target scales with their `availability` window.
+export const calculateScheduleStats = (rotations, players, { playersOnField, periods, periodLength, rotationDuration, optimal, isUsingOptimalDuration, absences = [], availability = {} }) => {
+  const totalPlayers = players.length;
+  const totalGameTime = periods * periodLength;
+  const rotationsPerPeriod = Math.floor(periodLength / rotationDuration);
+
+  const playerStats = new Map(players.map(player => [player.name, {
+    totalMinutes: 0,
+    rotationCount: 0,
+    periodsPlayed: new Set(),
+    positionsPlayed: new Set(),
+    substitutionTimes: []
+  }]));
+
+  // A stint runs across consecutive rotations of a period until the player comes off
+  const isOnField = (rotation, playerName) => Boolean(rotation?.players.some(p => p.name === playerName));
+
+  rotations.forEach(periodRotations => periodRotations.forEach((rotation, idx) => {
+    const duration = rotation.endTime - rotation.startTime;
+    const previousRotation = periodRotations[idx - 1];
+    const nextRotation = periodRotations[idx + 1];
+    rotation.players.forEach(player => {
+      // Players removed from the roster after the game started still count
+      if (!playerStats.has(player.name)) {
+        playerStats.set(player.name, {
+          totalMinutes: 0,
+          rotationCount: 0,
+          periodsPlayed: new Set(),
+          positionsPlayed: new Set(),
+          substitutionTimes: []
+        });
+      }
+      const stats = playerStats.get(player.name);
+      stats.totalMinutes += duration;
+      stats.rotationCount += 1;
+      stats.periodsPlayed.add(rotation.period);
+      if (player.position) stats.positionsPlayed.add(player.position);
+      if (!isOnField(previousRotation, player.name)) {
+        stats.substitutionTimes.push({
+          type: 'in',
+          time: rotation.startTime,
+          period: rotation.period,
+          rotation: rotation.rotationNumber,
+          gameMinute: Math.floor(rotation.startTime / 60)
+        });
+      }
+      if (!isOnField(nextRotation, player.name)) {
+        stats.substitutionTimes.push({
+          type: 'out',
+          time: rotation.endTime,
+          period: rotation.period,
+          rotation: rotation.rotationNumber,
+          gameMinute: Math.floor(rotation.endTime / 60)
+        });
+      }
+    });
+  }));
+
+  const targets = getPlayerTargets(players.map(p => p.name), availability, totalGameTime, playersOnField);
+  // What players there for the whole game aim for
+  const targetPlayTimePerPlayer = targets.size > 0
+    ? Math.max(...targets.values())
+    : (playersOnField / totalPlayers) * totalGameTime;
+  // Players removed from the roster after the game started keep the whole-game target
+  const targetFor = (playerName) => targets.get(playerName) ?? targetPlayTimePerPlayer;
+
+  // Lineup strength and how much it varies from rotation to rotation
+  const lineupTotals = rotations.flat().map(rotation => getLineupStrength(rotation.players));
+  const averageStrength = lineupTotals.reduce((sum, total) => sum + total, 0) / (lineupTotals.length || 1);
+  const lineupStrength = {
+    average: averageStrength,
+    min: lineupTotals.length > 0 ? Math.min(...lineupTotals) : 0,
+    max: lineupTotals.length > 0 ? Math.max(...lineupTotals) : 0,
+    spread: lineupTotals.length > 0 ? Math.max(...lineupTotals) - Math.min(...lineupTotals) : 0,
+    standardDeviation: Math.sqrt(
+      lineupTotals.reduce((sum, total) => sum + (total - averageStrength) ** 2, 0) / (lineupTotals.length || 1)
+    )
+  };
+
+  // Players who are out for the rest of the game can't be balanced, so leave them out of the spread.
+  // The spread compares time against each player's own target, so a late arrival isn't counted unfair.
+  const balancedMinutes = Array.from(playerStats.entries())
+    .filter(([name]) => !absences.some(absence => absence.name === name && absence.to === null))
+    .map(([name, stats]) => stats.totalMinutes - targetFor(name));
+
+  return {
+    averageMinutes: Array.from(playerStats.values())
+      .reduce((acc, stats) => acc + stats.totalMinutes, 0) / totalPlayers / 60,
+    targetMinutesPerPlayer: targetPlayTimePerPlayer / 60,
+    playerStats: Object.fromEntries(
+      Array.from(playerStats.entries()).map(([name, stats]) => [
+        name,
+        {
+          totalMinutes: stats.totalMinutes / 60,
+          rotationCount: stats.rotationCount,
+          periodsPlayed: Array.from(stats.periodsPlayed),
+          positionsPlayed: Array.from(stats.positionsPlayed),
+          substitutionTimes: stats.substitutionTimes,
+          percentageOfGame: (stats.totalMinutes / totalGameTime * 100).toFixed(1),
+          availableMinutes: getAvailableTime(name, availability, totalGameTime) / 60,
+          targetMinutes: targetFor(name) / 60,
+          differenceFromTarget: ((stats.totalMinutes - targetFor(name)) / 60).toFixed(2)
+        }
+      ])
+    ),
+    totalRotations: rotations.flat().length,
+    lineupStrength,
+    outOfPositionCount: rotations.flat()
+      .reduce((count, rotation) => count + rotation.players.filter(p => p.outOfPosition).length, 0),
+    rotationDuration: rotationDuration / 60,
+    totalGameTime: totalGameTime / 60,
+    maxTimeDifference: balancedMinutes.length > 0
+      ? (Math.max(...balancedMinutes) - Math.min(...balancedMinutes)) / 60
+      : 0,
+    rotationsPerPeriod,
+    optimal: optimal,
+    isUsingOptimalDuration,
+    minutesPerRotation: rotationDuration / 60
+  };
+};
+
+// Expand a position template like [{ position: 'GK', count: 1 }] into one entry per slot
+export const expandPositionSlots = (positionTemplate = []) =>
+  positionTemplate.flatMap(({ position, count }) => Array(count).fill(position));
+
+// Slot indexes a player can fill, most preferred first.
+// Players without any of the lineup's positions listed play anywhere.
+const eligibleSlots = (player, slots) => {
+  const positions = (player.positions || []).filter(position => slots.includes(position));
+  if (positions.length === 0) return slots.map((_, idx) => idx);
+  return positions.flatMap(position =>
+    slots.map((slot, idx) => (slot === position ? idx : -1)).filter(idx => idx !== -1)
+  );
+};
+
+export const canPlayPosition = (player, position, slots) =>
+  eligibleSlots(player, slots).some(idx => slots[idx] === position);
+
+// Match players to slots, trying preferred positions first.
+// Returns the player in each slot, or null when not everyone can be placed.
+const assignPositions = (lineup, slots) => {
+  const slotOwners = Array(slots.length).fill(null);
+  const tryAssign = (player, visited) => {
+    for (const idx of eligibleSlots(player, slots)) {
+      if (visited.has(idx)) continue;
+      visited.add(idx);
+      if (slotOwners[idx] === null || tryAssign(slotOwners[idx], visited)) {
+        slotOwners[idx] = player;
+        return true;
+      }
+    }
+    return false;
+  };
+  // Specialists go first so flexible players don't take their only slots
+  const ordered = [...lineup].sort((a, b) => eligibleSlots(a, slots).length - eligibleSlots(b, slots).length);
+  return ordered.every(player => tryAssign(player, new Set())) ? slotOwners : null;
+};
+
+// Note who comes on and who goes off at the start of each rotation in a period
+const annotateSubstitutions = (periodRotations) =>
+  periodRotations.map((rotation, idx) => {
+    const previous = idx > 0 ? periodRotations[idx - 1].players.map(p => p.name) : [];
+    const current = rotation.players.map(p => p.name);
+    return {
+      ...rotation,
+      subsIn: current.filter(name => !previous.includes(name)),
+      subsOut: previous.filter(name => !current.includes(name))
+    };
+  });
+
+// Substitution windows - the moments within a period when changes may happen:
+// { mode: 'even' } every rotation length, the last rotation of a period running short
+// { mode: 'split', parts } a set number of equal rotations per period (e.g. at the quarter marks)
+// { mode: 'times', times } set moments as seconds into the period, one list per period; periods
+// without their own list use the first one (e.g. media timeouts)
+export const DEFAULT_SUBSTITUTION_WINDOWS = { mode: 'even', parts: 2, times: [] };
+
+// Seconds into period `periodIndex` (0-based) at which substitutions happen
+export const getSubstitutionTimes = (periodIndex, periodLength, rotationDuration, windows = DEFAULT_SUBSTITUTION_WINDOWS) => {
+  let times = [];
+  if (windows.mode === 'split') {
+    times = Array.from({ length: Math.max(1, windows.parts) - 1 }, (_, idx) => Math.round((idx + 1) * periodLength / windows.parts));
+  } else if (windows.mode === 'times') {
+    times = windows.times[periodIndex] ?? windows.times[0] ?? [];
+  } else {
+    for (let time = rotationDuration; time < periodLength; time += rotationDuration) times.push(time);
+  }
+  return Array.from(new Set(times.filter(time => time > 0 && time < periodLength))).sort((a, b) => a - b);
+};
+
+// Rotation spans { start, end } of a period, as game times
+const getPeriodBlocks = (periodIndex, periodLength, rotationDuration, windows) => {
+  const periodStart = periodIndex * periodLength;
+  const cuts = [0, ...getSubstitutionTimes(periodIndex, periodLength, rotationDuration, windows), periodLength];
+  return cuts.slice(1).map((end, idx) => ({ start: periodStart + cuts[idx], end: periodStart + end }));
+};
+
+// Lineup rules: { keepApart: [[name, name]], keepTogether: [[name, name]], pinned: [{ period, rotation, players }] }.
+// Pins use the schedule's 1-based numbering; `rotation: 'last'` pins the final rotation of the period.
+export const EMPTY_CONSTRAINTS = { keepApart: [], keepTogether: [], pinned: [] };
+
+// Lineup rules without a player who left the roster: their pairs go, and pins keep the other players
+export const removePlayerFromConstraints = (constraints, playerName) => ({
+  keepApart: constraints.keepApart.filter(pair => !pair.includes(playerName)),
+  keepTogether: constraints.keepTogether.filter(pair => !pair.includes(playerName)),
+  pinned: constraints.pinned
+    .map(pin => ({ ...pin, players: pin.players.filter(name => name !== playerName) }))
+    .filter(pin => pin.players.length > 0)
+});
+
+// Game time span of the rotation block a pin refers to, or null when the period has no such rotation
+const getPinnedBlock = (pin, periodLength, rotationDuration, windows) => {
+  const blocks = getPeriodBlocks(pin.period - 1, periodLength, rotationDuration, windows);
+  const index = pin.rotation === 'last' ? blocks.length - 1 : pin.rotation - 1;
+  return blocks[index] || null;
+};
+
+const describePin = (pin) =>
+  `Period ${pin.period} ${pin.rotation === 'last' ? 'final rotation' : `Rotation ${pin.rotation}`}`;
+
+// List the lineup rules a schedule breaks: { type, players, rotations, message } per rule, where
+// `rotations` are the "P1 R2" labels it is broken in. A rule involving a player who is out doesn't count,
+// nor does one naming a player who is no longer in `players`.
+export const checkConstraints = (rotations, constraints = EMPTY_CONSTRAINTS, { periodLength, rotationDuration, substitutionWindows, absences = [], players = null }) => {
+  const violations = [];
+  const onRoster = (name) => !players || players.some(p => p.name === name);
+  const allRotations = rotations.flat();
+  const label = (rotation) => `P${rotation.period} R${rotation.rotationNumber}`;
+  const isOn = (rotation, name) => rotation.players.some(p => p.name === name);
+  const isAvailableFor = (rotation, name) => isPlayerAvailable(name, rotation.startTime, rotation.endTime, absences);
+
+  (constraints.keepApart || []).filter(pair => pair.every(onRoster)).forEach(([a, b]) => {
+    const broken = allRotations.filter(rotation => isOn(rotation, a) && isOn(rotation, b));
+    if (broken.length > 0) {
+      violations.push({
+        type: 'keepApart',
+        players: [a, b],
+        rotations: broken.map(label),
+        message: `${a} and ${b} are on together in ${broken.map(label).join(', ')}`
+      });
+    }
+  });
+
+  (constraints.keepTogether || []).filter(pair => pair.every(onRoster)).forEach(([a, b]) => {
+    const broken = allRotations.filter(rotation =>
+      isOn(rotation, a) !== isOn(rotation, b) && isAvailableFor(rotation, a) && isAvailableFor(rotation, b));
+    if (broken.length > 0) {
+      violations.push({
+        type: 'keepTogether',
+        players: [a, b],
+        rotations: broken.map(label),
+        message: `${a} and ${b} are split up in ${broken.map(label).join(', ')}`
+      });
+    }
+  });
+
+  (constraints.pinned || [])
+    .map(pin => ({ ...pin, players: pin.players.filter(onRoster) }))
+    .filter(pin => pin.players.length > 0)
+    .forEach(pin => {
+      const block = getPinnedBlock(pin, periodLength, rotationDuration, substitutionWindows);
+      if (!block) {
+        violations.push({ type: 'pinned', players: pin.players, rotations: [], message: `${describePin(pin)} does not exist` });
+        return;
+      }
+      const pinnedRotations = allRotations.filter(rotation => rotation.startTime < block.end && rotation.endTime > block.start);
+      const missing = pin.players.filter(name =>
+        pinnedRotations.some(rotation => !isOn(rotation, name) && isAvailableFor(rotation, name)));
+      if (missing.length > 0) {
+        violations.push({
+          type: 'pinned',
+          players: missing,
+          rotations: pinnedRotations.map(label),
+          message: `${missing.join(', ')} could not be placed in ${describePin(pin)}`
+        });
+      }
+    });
+
+  return violations;
+};
+
+// Main rotation generation function with skill balancing.
+// Pass `replanFrom` with the `previousRotations` to keep everything played before that
+// game time and only plan the rest, e.g. after marking a player unavailable.
+export const generateRotations = (players, playersOnField, periods, periodLength, overrideRotationDuration = null, options = {}) => {
+  const {
+    absences = [],
+    replanFrom = 0,
+    previousRotations = null,
+    positionTemplate = [],
+    substitutionMode = 'line',
+    subsPerChange = 2,
+    seasonPriority = [],
+    constraints = EMPTY_CONSTRAINTS,
+    substitutionWindows = DEFAULT_SUBSTITUTION_WINDOWS,
+    availability = {}
+  } = options;
+  const totalPlayers = players.length;
+  const slots = expandPositionSlots(positionTemplate);
+  const hasPositions = slots.length > 0;
+  const isRolling = substitutionMode === 'rolling';
+  
+  const optimal = calculateOptimalRotationDuration(
+    totalPlayers,
+    playersOnField,
+    periodLength,
+    isRolling ? Math.min(subsPerChange, playersOnField) : playersOnField
+  );
+  const rotationDuration = overrideRotationDuration || optimal.recommendedDuration;
+  
+  const rotations = [];
+  const playedTime = new Map(players.map(player => [player.name, 0]));
+  const totalGameTime = periods * periodLength;
+  // Marked absences plus the time before players arrive and after they leave
+  const unavailable = [...absences, ...getWindowAbsences(availability, totalGameTime)];
+  const targets = getPlayerTargets(players.map(p => p.name), availability, totalGameTime, playersOnField);
+  
+  let playerQueue = [...players];
+  let currentTime = 0;
+  // Rotations planned in this call (not kept from before a re-plan) and the players pinned to each
+  const pinnedByRotation = new Map();
+
+  // Time players are pinned to play later counts as already played, so pins don't give them extra minutes
+  const pinnedBlocks = (constraints.pinned || [])
+    .map(pin => ({ ...getPinnedBlock(pin, periodLength, rotationDuration, substitutionWindows), players: pin.players }))
+    .filter(block => block.start !== undefined && block.end > replanFrom);
+  let upcomingFrom = 0;
+  const reservedTime = (playerName) => pinnedBlocks
+    .filter(block => block.start >= upcomingFrom && block.players.includes(playerName))
+    .reduce((total, block) => total + block.end - block.start, 0);
+
+  // Players arriving late are credited their fair share of the time they missed, so they join at
+  // everyone else's pace instead of playing every rotation to catch up
+  const missedTime = (playerName) => {
+    const arrival = availability[playerName]?.from ?? 0;
+    if (arrival <= 0) return 0;
+    return Math.round(Math.min(arrival, upcomingFrom) * targets.get(playerName) /
+      Math.max(getAvailableTime(playerName, availability, totalGameTime), 1));
+  };
+
+  // Players behind on season minutes get a rotation's head start, so they get the extra stints
+  const priorityTime = (playerName) =>
+    playedTime.get(playerName) + reservedTime(playerName) + missedTime(playerName) -
+    (seasonPriority.includes(playerName) ? rotationDuration : 0);
+
+  // Helper function to get next balanced group of players
+  const getNextPlayers = (startTime, endTime) => {
+    // Sort by playing time to maintain equality
+    playerQueue.sort((a, b) => 
+      (priorityTime(a.name) - priorityTime(b.name))
+    );
+    const availablePlayers = playerQueue.filter(p => isPlayerAvailable(p.name, startTime, endTime, unavailable));
+    const lineupSize = Math.min(hasPositions ? slots.length : playersOnField, availablePlayers.length);
+
+    // Every lineup aims for the average rating of the available players
+    const targetAverageSkill = availablePlayers.reduce((sum, p) => sum + p.skill, 0) / (availablePlayers.length || 1);
+    
+    let selectedPlayers = [];
+
+    // With positions, only take a player if every selected player still has a slot
+    const canJoin = (player) => !hasPositions || assignPositions([...selectedPlayers, player], slots) !== null;
+
+    // First pass: players behind on minutes always go in
+    const cutoffTime = lineupSize > 0 ? priorityTime(availablePlayers[lineupSize - 1].name) : 0;
+    availablePlayers
+      .filter(p => priorityTime(p.name) < cutoffTime)
+      .forEach(player => {
+        if (canJoin(player)) selectedPlayers.push(player);
+      });
+
+    // Second pass: among players tied at the cut-off, players who can fill the fewest slots go first, so
+    // flexible players don't take the only spots a specialist can play; then whoever keeps the lineup
+    // average closest to the target
+    let tiedPlayers = availablePlayers.filter(p => priorityTime(p.name) === cutoffTime);
+    const slotChoices = (player) => (hasPositions ? eligibleSlots(player, slots).length : 0);
+    while (selectedPlayers.length < lineupSize) {
+      const skillTotal = selectedPlayers.reduce((sum, p) => sum + p.skill, 0);
+      const bestFit = tiedPlayers
+        .filter(canJoin)
+        .reduce((best, player) => {
+          const choices = slotChoices(player);
+          const gap = Math.abs((skillTotal + player.skill) / (selectedPlayers.length + 1) - targetAverageSkill);
+          return !best || choices < best.choices || (choices === best.choices && gap < best.gap)
+            ? { player, choices, gap }
+            : best;
+        }, null);
+      if (!bestFit) break;
+      selectedPlayers.push(bestFit.player);
+      tiedPlayers = tiedPlayers.filter(p => p !== bestFit.player);
+    }
+    
+    // Fill remaining spots if needed
+    for (let i = 0; i < availablePlayers.length && selectedPlayers.length < lineupSize; i++) {
+      const player = availablePlayers[i];
+      if (!selectedPlayers.includes(player) && canJoin(player)) {
+        selectedPlayers.push(player);
+      }
+    }
+
+    // No eligible player left for some slots - play someone out of position rather than short
+    const outOfPositionPlayers = availablePlayers
+      .filter(p => !selectedPlayers.includes(p))
+      .slice(0, lineupSize - selectedPlayers.length);
+    
+    // Update queue
+    const lineup = [...selectedPlayers, ...outOfPositionPlayers];
+    playerQueue = [...playerQueue.filter(p => !lineup.includes(p)), ...lineup];
+
+    if (!hasPositions) return lineup;
+
+    // Return the lineup in slot order, each player tagged with their position
+    const slotOwners = assignPositions(selectedPlayers, slots);
+    const fillers = [...outOfPositionPlayers];
+    return slots
+      .map((position, idx) => {
+        if (slotOwners[idx]) return { ...slotOwners[idx], position };
+        const filler = fillers.shift();
+        return filler ? { ...filler, position, outOfPosition: true } : null;
+      })
+      .filter(Boolean);
+  };
+
+  // Rolling substitution: swap a few players, longest-playing off and most-rested on.
+  // With `forcedOnly` just the players who are no longer available are replaced.
+  const getRollingChange = (onField, startTime, endTime, forcedOnly = false) => {
+    playerQueue.sort((a, b) => 
+      (priorityTime(a.name) - priorityTime(b.name))
+    );
+    const availablePlayers = playerQueue.filter(p => isPlayerAvailable(p.name, startTime, endTime, unavailable));
+    const targetAverageSkill = availablePlayers.reduce((sum, p) => sum + p.skill, 0) / (availablePlayers.length || 1);
+    const isAvailable = (player) => availablePlayers.some(p => p.name === player.name);
+    const lineupSize = Math.min(hasPositions ? slots.length : playersOnField, availablePlayers.length);
+
+    let lineup = [...onField];
+    let bench = availablePlayers.filter(p => !lineup.some(l => l.name === p.name));
+
+    // Take the most rested player from `pool` who can play the position, preferring the best skill fit
+    const pickFromBench = (position, others, pool, allowOutOfPosition) => {
+      const eligible = pool.filter(p => !hasPositions || canPlayPosition(p, position, slots));
+      const candidates = eligible.length > 0 || !allowOutOfPosition ? eligible : pool;
+      if (candidates.length === 0) return null;
+      const lowestTime = Math.min(...candidates.map(p => priorityTime(p.name)));
+      const othersTotal = getLineupStrength(others);
+      const pick = candidates
+        .filter(p => priorityTime(p.name) === lowestTime)
+        .reduce((best, player) => {
+          const gap = Math.abs((othersTotal + player.skill) / (others.length + 1) - targetAverageSkill);
+          return !best || gap < best.gap ? { player, gap } : best;
+        }, null).player;
+      bench = bench.filter(p => p !== pick);
+      if (!hasPositions) return pick;
+      return eligible.includes(pick) ? { ...pick, position } : { ...pick, position, outOfPosition: true };
+    };
+
+    // Players who are no longer available have to come off
+    lineup.filter(p => !isAvailable(p)).forEach(outgoing => {
+      const others = lineup.filter(p => p !== outgoing);
+      const incoming = pickFromBench(outgoing.position, others, bench, true);
+      lineup = incoming ? lineup.map(p => (p === outgoing ? incoming : p)) : others;
+    });
+
+    // Fill spots left open by earlier shortages
+    const openPositions = [...slots];
+    lineup.forEach(p => {
+      const idx = openPositions.indexOf(p.position);
+      if (idx !== -1) openPositions.splice(idx, 1);
+    });
+    while (lineup.length < lineupSize) {
+      const incoming = pickFromBench(openPositions.shift(), lineup, bench, true);
+      if (!incoming) break;
+      lineup = [...lineup, incoming];
+    }
+
+    // Regular changes: whoever has played the most comes off while someone on the bench has played less
+    let changes = 0;
+    const outgoingOrder = lineup
+      .filter(p => onField.includes(p))
+      .sort((a, b) => priorityTime(b.name) - priorityTime(a.name));
+    for (const outgoing of outgoingOrder) {
+      if (forcedOnly || changes >= subsPerChange) break;
+      const others = lineup.filter(p => p !== outgoing);
+      const restedBench = bench.filter(p => priorityTime(p.name) < priorityTime(outgoing.name));
+      const incoming = pickFromBench(outgoing.position, others, restedBench, false);
+      if (!incoming) continue;
+      lineup = lineup.map(p => (p === outgoing ? incoming : p));
+      changes++;
+    }
+
+    // Update queue
+    const names = lineup.map(p => p.name);
+    playerQueue = [
+      ...playerQueue.filter(p => !names.includes(p.name)),
+      ...playerQueue.filter(p => names.includes(p.name))
+    ];
+
+    return lineup;
+  };
+
+  // Lineup rules, limited to players on the roster
+  const onRoster = (name) => players.some(p => p.name === name);
+  const keepApart = (constraints.keepApart || []).filter(pair => pair.every(onRoster));
+  const keepTogether = (constraints.keepTogether || []).filter(pair => pair.every(onRoster));
+  const getPinnedNames = (period, blockIndex, isLastBlock) =>
+    (constraints.pinned || [])
+      .filter(pin => pin.period === period + 1 && (pin.rotation === 'last' ? isLastBlock : pin.rotation === blockIndex + 1))
+      .flatMap(pin => pin.players)
+      .filter(onRoster);
+
+  // Make a chosen lineup follow the lineup rules by swapping players with the bench:
+  // pinned players go in, keep-together partners join each other, keep-apart pairs are split.
+  // Whatever can't be fixed without leaving a spot open is left for checkConstraints to report.
+  const applyConstraints = (lineup, startTime, endTime, pinnedNames) => {
+    if (pinnedNames.length === 0 && keepApart.length === 0 && keepTogether.length === 0) return lineup;
+
+    const available = players.filter(p => isPlayerAvailable(p.name, startTime, endTime, unavailable));
+    const lineupSize = Math.min(hasPositions ? slots.length : playersOnField, available.length);
+    let result = [...lineup];
+    const isOn = (name) => result.some(p => p.name === name);
+    const getBench = () => available.filter(p => !isOn(p.name));
+    const clashes = (name, others) => keepApart.some(([a, b]) =>
+      (a === name && others.some(p => p.name === b)) || (b === name && others.some(p => p.name === a)));
+    // Players whose keep-together partner is also on, so taking them off would split a pair
+    const isPaired = (name) => keepTogether.some(([a, b]) => (a === name && isOn(b)) || (b === name && isOn(a)));
+
+    const placeIn = (player, position) => {
+      if (!hasPositions || !position) return player;
+      return canPlayPosition(player, position, slots) ? { ...player, position } : { ...player, position, outOfPosition: true };
+    };
+    // Bring `incoming` on, taking off whoever has played the most among the players free to go,
+    // preferring a position the incoming player can cover
+    const bringOn = (incoming, keepNames) => {
+      if (result.length < lineupSize) {
+        const openSlots = [...slots];
+        result.forEach(p => {
+          const idx = openSlots.indexOf(p.position);
+          if (idx !== -1) openSlots.splice(idx, 1);
+        });
+        result = [...result, placeIn(incoming, openSlots[0])];
+        return true;
+      }
+      const others = (outgoing) => result.filter(p => p !== outgoing);
+      const candidates = result.filter(p =>
+        !pinnedNames.includes(p.name) && !keepNames.includes(p.name) && !isPaired(p.name) &&
+        !clashes(incoming.name, others(p)));
+      if (candidates.length === 0) return false;
+      const eligible = hasPositions ? candidates.filter(p => canPlayPosition(incoming, p.position, slots)) : candidates;
+      const outgoing = (eligible.length > 0 ? eligible : candidates)
+        .reduce((most, p) => (priorityTime(p.name) > priorityTime(most.name) ? p : most));
+      result = result.map(p => (p === outgoing ? placeIn(incoming, outgoing.position) : p));
+      return true;
+    };
+
+    pinnedNames
+      .filter(name => !isOn(name))
+      .forEach(name => {
+        const player = available.find(p => p.name === name);
+        if (player) bringOn(player, []);
+      });
+
+    keepTogether.forEach(([a, b]) => {
+      if (isOn(a) === isOn(b)) return;
+      const partner = getBench().find(p => p.name === (isOn(a) ? b : a));
+      if (partner) bringOn(partner, [a, b]);
+    });
+
+    // A single substitute must not split a keep-together pair: they have no partner, or the partner stays on
+    const keepsPairWhole = (player, others) => keepTogether.every(([x, y]) =>
+      (x !== player.name || others.some(p => p.name === y)) && (y !== player.name || others.some(p => p.name === x)));
+
+    // Bring a benched keep-together pair on for `outgoing` and the free player who has played the most
+    const bringPairOn = (outgoing) => {
+      const others = result.filter(p => p !== outgoing);
+      const pair = keepTogether
+        .map(names => names.map(n => getBench().find(p => p.name === n)))
+        .filter(([x, y]) => x && y && !clashes(x.name, [y]))
+        .sort((x, y) => priorityTime(x[0].name) + priorityTime(x[1].name) - priorityTime(y[0].name) - priorityTime(y[1].name))
+        .find(([x, y]) => !clashes(x.name, others) && !clashes(y.name, others));
+      if (!pair) return false;
+      const second = others
+        .filter(p => !pinnedNames.includes(p.name) && !isPaired(p.name))
+        .reduce((most, p) => (!most || priorityTime(p.name) > priorityTime(most.name) ? p : most), null);
+      if (!second) return false;
+      // Put the pair into the two freed positions the way that leaves fewer players out of position
+      const fits = (player, position) => !hasPositions || canPlayPosition(player, position, slots);
+      const [x, y] = fits(pair[1], outgoing.position) && fits(pair[0], second.position) &&
+        !(fits(pair[0], outgoing.position) && fits(pair[1], second.position))
+        ? [pair[1], pair[0]]
+        : pair;
+      result = result.map(p => {
+        if (p === outgoing) return placeIn(x, outgoing.position);
+        if (p === second) return placeIn(y, second.position);
+        return p;
+      });
+      return true;
+    };
+
+    keepApart.forEach(([a, b]) => {
+      if (!isOn(a) || !isOn(b)) return;
+      const movable = [a, b]
+        .filter(name => !pinnedNames.includes(name) && !isPaired(name))
+        .sort((x, y) => priorityTime(y) - priorityTime(x));
+      for (const name of movable) {
+        const outgoing = result.find(p => p.name === name);
+        const others = result.filter(p => p !== outgoing);
+        const substitutes = getBench()
+          .filter(p => !clashes(p.name, others) && keepsPairWhole(p, others))
+          .sort((x, y) => priorityTime(x.name) - priorityTime(y.name));
+        const eligible = hasPositions ? substitutes.filter(p => canPlayPosition(p, outgoing.position, slots)) : substitutes;
+        const incoming = eligible[0] || substitutes[0];
+        if (incoming) {
+          result = result.map(p => (p === outgoing ? placeIn(incoming, outgoing.position) : p));
+          break;
+        }
+        if (bringPairOn(outgoing)) break;
+      }
+    });
+
+    const names = result.map(p => p.name);
+    playerQueue = [
+      ...playerQueue.filter(p => !names.includes(p.name)),
+      ...playerQueue.filter(p => names.includes(p.name))
+    ];
+    return result;
+  };
+
+  // Rotations of uneven length leave minutes lopsided, so with line changes trade single stints from
+  // players ahead of their target to players behind it. A stint of length L moving from A to B lowers the
+  // sum of squared differences whenever L < A - B; each round takes the trade that lowers it most.
+  // `pinnedByRotation` maps each planned rotation to the players pinned to it.
+  const balanceMinutes = (plannedRotations, pinnedByRotation) => {
+    const inPair = (name) => keepTogether.some(pair => pair.includes(name));
+    const isOutForGood = (name) => absences.some(absence => absence.name === name && absence.to === null);
+    const aheadOfTarget = (name) => playedTime.get(name) - targets.get(name);
+    const candidates = players.filter(p => !isOutForGood(p.name) && !inPair(p.name));
+
+    for (let round = 0; round < 200; round++) {
+      let best = null;
+      plannedRotations.forEach(rotation => {
+        const length = rotation.endTime - rotation.startTime;
+        rotation.players.forEach(outgoing => {
+          if (pinnedByRotation.get(rotation).includes(outgoing.name) || inPair(outgoing.name)) return;
+          const others = rotation.players.filter(p => p !== outgoing);
+          candidates.forEach(incoming => {
+            const gap = aheadOfTarget(outgoing.name) - aheadOfTarget(incoming.name);
+            const gain = length * (gap - length);
+            if (gain <= 0 || (best && gain <= best.gain)) return;
+            if (rotation.players.some(p => p.name === incoming.name)) return;
+            if (!isPlayerAvailable(incoming.name, rotation.startTime, rotation.endTime, unavailable)) return;
+            if (hasPositions && !outgoing.outOfPosition && !canPlayPosition(incoming, outgoing.position, slots)) return;
+            const clashes = keepApart.some(([a, b]) =>
+              (a === incoming.name && others.some(p => p.name === b)) || (b === incoming.name && others.some(p => p.name === a)));
+            if (clashes) return;
+            best = { rotation, outgoing, incoming, length, gain };
+          });
+        });
+      });
+      if (!best) return;
+
+      const { rotation, outgoing, incoming, length } = best;
+      const entry = hasPositions
+        ? { ...incoming, position: outgoing.position, ...(canPlayPosition(incoming, outgoing.position, slots) ? {} : { outOfPosition: true }) }
+        : incoming;
+      rotation.players = rotation.players.map(p => (p === outgoing ? entry : p));
+      rotation.skillTotal = getLineupStrength(rotation.players);
+      rotation.skillAverage = rotation.skillTotal / (rotation.players.length || 1);
+      playedTime.set(outgoing.name, playedTime.get(outgoing.name) - length);
+      playedTime.set(incoming.name, playedTime.get(incoming.name) + length);
+    }
+  };
+
+  // Count a rotation towards playing time and rotate its players to the back of the queue
+  const recordPlayedRotation = (rotation) => {
+    rotation.players.forEach(player => {
+      playedTime.set(player.name, (playedTime.get(player.name) || 0) + (rotation.endTime - rotation.startTime));
+    });
+    const names = rotation.players.map(p => p.name);
+    playerQueue = [
+      ...playerQueue.filter(p => !names.includes(p.name)),
+      ...playerQueue.filter(p => names.includes(p.name))
+    ];
+  };
+
+  // Generate rotations for each period
+  for (let period = 0; period < periods; period++) {
+    const periodRotations = [];
+    const blocks = getPeriodBlocks(period, periodLength, rotationDuration, substitutionWindows);
+
+    // Keep what was already played, cutting the current rotation short at the replan time
+    if (previousRotations && replanFrom > currentTime) {
+      (previousRotations[period] || [])
+        .filter(rotation => rotation.startTime < replanFrom)
+        .forEach(rotation => {
+          const endTime = Math.min(rotation.endTime, replanFrom);
+          const playedRotation = {
+            ...rotation,
+            endTime,
+            durationMinutes: (endTime - rotation.startTime) / 60
+          };
+          recordPlayedRotation(playedRotation);
+          periodRotations.push(playedRotation);
+        });
+    }
+    
+    for (const [blockIndex, { start: blockStartTime, end: rotationEndTime }] of blocks.entries()) {
+      // Blocks that were already played are covered by the kept rotations
+      if (rotationEndTime <= replanFrom) continue;
+      const rotationStartTime = Math.max(blockStartTime, replanFrom);
+      // Rolling mode carries the lineup over within a period; each period starts with a fresh lineup.
+      // A rotation cut short by a re-plan keeps its lineup apart from players who became unavailable.
+      const previousLineup = periodRotations[periodRotations.length - 1]?.players;
+      const isReplanCut = blockStartTime < replanFrom;
+      upcomingFrom = rotationEndTime;
+      const chosenPlayers = (isRolling || isReplanCut) && previousLineup
+        ? getRollingChange(previousLineup, rotationStartTime, rotationEndTime, isReplanCut)
+        : getNextPlayers(rotationStartTime, rotationEndTime);
+      const pinnedNames = getPinnedNames(period, blockIndex, blockIndex === blocks.length - 1);
+      const currentPlayers = applyConstraints(chosenPlayers, rotationStartTime, rotationEndTime, pinnedNames);
+
+      currentPlayers.forEach(player => {
+        playedTime.set(player.name, playedTime.get(player.name) + (rotationEndTime - rotationStartTime));
+      });
+      
+      // Record rotation
+      const rotation = {
+        period: period + 1,
+        rotationNumber: periodRotations.length + 1,
+        players: currentPlayers,
+        startTime: rotationStartTime,
+        endTime: rotationEndTime,
+        durationMinutes: (rotationEndTime - rotationStartTime) / 60,
+        gameMinute: Math.floor(rotationStartTime / 60),
+        skillTotal: getLineupStrength(currentPlayers),
+        skillAverage: getLineupStrength(currentPlayers) / (currentPlayers.length || 1)
+      };
+      if (!isReplanCut) pinnedByRotation.set(rotation, pinnedNames);
+      periodRotations.push(rotation);
+    }
+    
+    rotations.push(periodRotations);
+    currentTime += periodLength;
+  }
+
+  const rotationLengths = new Set(Array.from(pinnedByRotation.keys()).map(rotation => rotation.endTime - rotation.startTime));
+  if (!isRolling && rotationLengths.size > 1) {
+    balanceMinutes(Array.from(pinnedByRotation.keys()), pinnedByRotation);
+  }
+  rotations.forEach((periodRotations, idx) => {
+    rotations[idx] = annotateSubstitutions(periodRotations);
+  });
+
+  // Calculate final statistics
+  const stats = calculateScheduleStats(rotations, players, {
+    playersOnField,
+    periods,
+    periodLength,
+    rotationDuration,
+    optimal,
+    isUsingOptimalDuration: !overrideRotationDuration,
+    absences,
+    availability
+  });
+
+  return {
+    rotations,
+    stats,
+    // Lineup rules the schedule could not meet
+    violations: checkConstraints(rotations, constraints, { periodLength, rotationDuration, substitutionWindows, absences: unavailable, players }),
+    settings: {
+      playersOnField,
+      periods,
+      periodLength,
+      rotationDuration: overrideRotationDuration,
+      positionTemplate,
+      substitutionMode,
+      subsPerChange,
+      seasonPriority,
+      constraints,
+      substitutionWindows,
+      availability
+    }
+  };
+};
+
+// Copy of a lineup entry placed in `position`, with position flags left for recalculateSchedule
+const withPosition = (player, position) => {
+  const entry = { ...player };
+  delete entry.position;
+  delete entry.outOfPosition;
+  return position ? { ...entry, position } : entry;
+};
+
+// Apply a drag-and-drop move to the rotations. `source` and `target` are
+// { period, rotation, name, bench } with period/rotation as indexes; `bench` marks a roster
+// player sitting out that rotation, and a null target name means the empty part of a cell.
+// - field onto field: the two players swap (positions only, within one rotation)
+// - bench onto field, or field onto bench in the same rotation: a substitution
+// - field onto the empty bench: the player comes off, leaving the lineup short
+// - bench onto an empty lineup spot: fills it
+// Returns the new rotations, or null when the move is not possible.
+export const moveScheduledPlayer = (rotations, players, { playersOnField, positionTemplate }, source, target) => {
+  if (source.bench && target.bench) return null;
+  const lineupAt = ({ period, rotation }) => rotations[period][rotation].players;
+  const isOn = (location, name) => lineupAt(location).some(p => p.name === name);
+  const sameRotation = source.period === target.period && source.rotation === target.rotation;
+  let edits;
+
+  if (source.bench || target.bench) {
+    if (!source.bench && !sameRotation) return null;
+    const fieldLocation = source.bench ? target : source;
+    const fieldName = source.bench ? target.name : source.name;
+    const benchPlayer = players.find(p => p.name === (source.bench ? source.name : target.name));
+    const lineup = lineupAt(fieldLocation);
+    if (benchPlayer && isOn(fieldLocation, benchPlayer.name)) return null;
+
+    if (fieldName) {
+      const replaced = lineup.find(p => p.name === fieldName);
+      if (!replaced) return null;
+      edits = [[fieldLocation, benchPlayer
+        ? lineup.map(p => (p === replaced ? withPosition(benchPlayer, replaced.position) : p))
+        : lineup.filter(p => p !== replaced)]];
+    } else {
+      if (!benchPlayer || lineup.length >= playersOnField) return null;
+      // Take the first position the short lineup is missing
+      const openSlots = expandPositionSlots(positionTemplate);
+      lineup.forEach(p => {
+        const idx = openSlots.indexOf(p.position);
+        if (idx !== -1) openSlots.splice(idx, 1);
+      });
+      edits = [[fieldLocation, [...lineup, withPosition(benchPlayer, openSlots[0])]]];
+    }
+  } else {
+    const sourceEntry = lineupAt(source).find(p => p.name === source.name);
+    const targetEntry = lineupAt(target).find(p => p.name === target.name);
+    if (!sourceEntry || !targetEntry || sourceEntry.name === targetEntry.name) return null;
+
+    if (sameRotation) {
+      if (!sourceEntry.position) return null;
+      edits = [[source, lineupAt(source).map(p => {
+        if (p === sourceEntry) return withPosition(p, targetEntry.position);
+        if (p === targetEntry) return withPosition(p, sourceEntry.position);
+        return p;
+      })]];
+    } else {
+      if (isOn(source, targetEntry.name) || isOn(target, sourceEntry.name)) return null;
+      edits = [
+        [source, lineupAt(source).map(p => (p === sourceEntry ? withPosition(targetEntry, sourceEntry.position) : p))],
+        [target, lineupAt(target).map(p => (p === targetEntry ? withPosition(sourceEntry, targetEntry.position) : p))]
+      ];
+    }
+  }
+
+  return rotations.map((periodRotations, period) => periodRotations.map((rotation, idx) => {
+    const edit = edits.find(([location]) => location.period === period && location.rotation === idx);
+    return edit ? { ...rotation, players: edit[1], edited: true } : rotation;
+  }));
+};
+
+// Rebuild everything derived from the rotations after a manual edit: substitutions,
+// lineup strength, out-of-position flags and the schedule stats
+export const recalculateSchedule = (rotationSchedule, rotations, players, absences = []) => {
+  const { settings, stats } = rotationSchedule;
+  const slots = expandPositionSlots(settings.positionTemplate);
+  const updatedRotations = rotations.map(periodRotations => annotateSubstitutions(periodRotations.map(rotation => {
+    const lineup = rotation.players.map(player => (
+      player.position && !canPlayPosition(player, player.position, slots)
+        ? { ...withPosition(player, player.position), outOfPosition: true }
+        : withPosition(player, player.position)
+    ));
+    return {
+      ...rotation,
+      players: lineup,
+      skillTotal: getLineupStrength(lineup),
+      skillAverage: getLineupStrength(lineup) / (lineup.length || 1)
+    };
+  })));
+
+  return {
+    ...rotationSchedule,
+    rotations: updatedRotations,
+    violations: checkConstraints(updatedRotations, settings.constraints, {
+      periodLength: settings.periodLength,
+      rotationDuration: stats.rotationDuration * 60,
+      substitutionWindows: settings.substitutionWindows,
+      absences: [...absences, ...getWindowAbsences(settings.availability, settings.periods * settings.periodLength)],
+      players
+    }),
+    stats: calculateScheduleStats(updatedRotations, players, {
+      playersOnField: settings.playersOnField,
+      periods: settings.periods,
+      periodLength: settings.periodLength,
+      rotationDuration: stats.rotationDuration * 60,
+      optimal: stats.optimal,
+      isUsingOptimalDuration: stats.isUsingOptimalDuration,
+      absences,
+      availability: settings.availability
+    })
+  };
+};
@@ -0,0 +1,77 @@
+// Live scoring and plus/minus. A scoring event is { time, team: 'us' | 'them', points, period,
+// rotation, onField }: the rotation active at that game time (1-based numbers, as in the schedule)
+// and the players actually on the field then, so later schedule edits don't rewrite history.
+import { findRotationAt } from './scheduler.js';
+import { getActualLineup } from './substitutionLog.js';
+
+// Record points at `time`; the recorded substitutions say who was on, the plan when there are none
+export const createScoringEvent = (rotationSchedule, substitutionLog, time, team, points) => {
+  // A score on the final whistle belongs to the rotation that just ended
+  const rotation = findRotationAt(rotationSchedule, time) ||
+    rotationSchedule.rotations.flat().filter(rot => rot.startTime < time).at(-1);
+  const onField = substitutionLog.length > 0
+    ? getActualLineup(substitutionLog, time)
+    : (rotation?.players || []).map(p => p.name);
+  return {
+    time,
+    team,
+    points,
+    period: rotation?.period ?? null,
+    rotation: rotation?.rotationNumber ?? null,
+    onField
+  };
+};
+
+export const getScore = (events) => events.reduce(
+  (score, event) => ({ ...score, [event.team]: score[event.team] + event.points }),
+  { us: 0, them: 0 }
+);
+
+const addEvent = (totals, event) => {
+  if (event.team === 'us') totals.pointsFor += event.points;
+  else totals.pointsAgainst += event.points;
+  totals.plusMinus = totals.pointsFor - totals.pointsAgainst;
+};
+
+// Plus/minus per player: points scored minus points conceded while they were on the field,
+// best first
+export const getPlayerPlusMinus = (events) => {
+  const players = {};
+  events.forEach(event => {
+    event.onField.forEach(name => {
+      if (!players[name]) players[name] = { name, pointsFor: 0, pointsAgainst: 0, plusMinus: 0 };
+      addEvent(players[name], event);
+    });
+  });
+  return Object.values(players).sort((a, b) => b.plusMinus - a.plusMinus || b.pointsFor - a.pointsFor);
+};
+
+// Plus/minus per group of players on the field together, best first
+export const getLineupPlusMinus = (events) => {
+  const lineups = new Map();
+  events.forEach(event => {
+    const players = [...event.onField].sort();
+    const key = players.join('|');
+    if (!lineups.has(key)) lineups.set(key, { players, pointsFor: 0, pointsAgainst: 0, plusMinus: 0 });
+    addEvent(lineups.get(key), event);
+  });
+  return Array.from(lineups.values()).sort((a, b) => b.plusMinus - a.plusMinus || b.pointsFor - a.pointsFor);
+};
+
+// Every scheduled rotation played so far (up to `time`) with its plus/minus and minutes played,
+// best first; rotations with the same plus/minus rank by how much they scored per minute
+export const rankRotations = (rotationSchedule, events, time) =>
+  rotationSchedule.rotations.flat()
+    .filter(rotation => rotation.startTime < time)
+    .map(rotation => {
+      const totals = { pointsFor: 0, pointsAgainst: 0, plusMinus: 0 };
+      events
+        .filter(event => event.period === rotation.period && event.rotation === rotation.rotationNumber)
+        .forEach(event => addEvent(totals, event));
+      return {
+        rotation,
+        ...totals,
+        minutes: (Math.min(rotation.endTime, time) - rotation.startTime) / 60
+      };
+    })
+    .sort((a, b) => b.plusMinus - a.plusMinus || b.pointsFor / b.minutes - a.pointsFor / a.minutes);
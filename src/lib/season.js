@@ -0,0 +1,75 @@
+// Season ledger: playing time per player across saved games.
+// A saved game looks like { id, date, totalMinutes, players: { [name]: { minutes, availableMinutes } } }.
+import { getWindowAbsences } from './scheduler.js';
+import { comparePlannedToActual, withKickoffEntry } from './substitutionLog.js';
+
+// Players this far (in percentage points) below the team's average share count as behind
+const BEHIND_TOLERANCE = 2;
+
+// Seconds of the game a player was there and not marked out. Absences can overlap (marked out
+// after their planned departure, say), so they are merged before being taken off.
+const getAvailableSeconds = (playerName, totalGameSeconds, absences = []) => {
+  const spans = absences
+    .filter(absence => absence.name === playerName)
+    .map(absence => [
+      Math.max(0, Math.min(absence.from, totalGameSeconds)),
+      absence.to === null ? totalGameSeconds : Math.min(absence.to, totalGameSeconds)
+    ])
+    .filter(([from, to]) => to > from)
+    .sort((a, b) => a[0] - b[0]);
+  let missed = 0;
+  let coveredUntil = 0;
+  spans.forEach(([from, to]) => {
+    missed += Math.max(0, to - Math.max(from, coveredUntil));
+    coveredUntil = Math.max(coveredUntil, to);
+  });
+  return Math.max(0, totalGameSeconds - missed);
+};
+
+// Snapshot a game for the ledger with the minutes actually played according to the substitution log,
+// up to `endTime` (the whole game by default). A game stopped early (or saved halfway) counts only the
+// time played, for the minutes and the time each player was there alike.
+export const createSeasonGame = (rotationSchedule, players, substitutionLog, { absences = [], endTime = Infinity } = {}) => {
+  const totalGameSeconds = rotationSchedule.stats.totalGameTime * 60;
+  const playedSeconds = Math.max(0, Math.min(endTime, totalGameSeconds));
+  const unavailable = [...absences, ...getWindowAbsences(rotationSchedule.settings.availability, totalGameSeconds)];
+  // The starting lineup is on from kickoff even when no substitution was confirmed
+  const actual = comparePlannedToActual(rotationSchedule, withKickoffEntry(rotationSchedule, substitutionLog), playedSeconds).players;
+  const actualMinutes = Object.fromEntries(actual.map(player => [player.name, player.actual]));
+  const names = new Set([...players.map(p => p.name), ...Object.keys(actualMinutes)]);
+
+  return {
+    id: Date.now(),
+    date: new Date().toISOString(),
+    totalMinutes: playedSeconds / 60,
+    players: Object.fromEntries(Array.from(names).map(name => [name, {
+      minutes: actualMinutes[name] ?? 0,
+      availableMinutes: getAvailableSeconds(name, playedSeconds, unavailable) / 60
+    }]))
+  };
+};
+
+// Cumulative minutes, available minutes and games attended per player
+export const summarizeSeason = (games) => {
+  const summary = {};
+  games.forEach(game => {
+    Object.entries(game.players).forEach(([name, record]) => {
+      if (!summary[name]) summary[name] = { games: 0, minutes: 0, availableMinutes: 0 };
+      if (record.availableMinutes > 0) summary[name].games += 1;
+      summary[name].minutes += record.minutes;
+      summary[name].availableMinutes += record.availableMinutes;
+    });
+  });
+  Object.values(summary).forEach(record => {
+    record.percentage = record.availableMinutes > 0 ? record.minutes / record.availableMinutes * 100 : 0;
+  });
+  return summary;
+};
+
+// Names of players whose share of their available time trails the team average
+export const getPlayersBehind = (summary, names) => {
+  const attended = names.filter(name => summary[name]?.availableMinutes > 0);
+  if (attended.length === 0) return [];
+  const averagePercentage = attended.reduce((sum, name) => sum + summary[name].percentage, 0) / attended.length;
+  return attended.filter(name => summary[name].percentage < averagePercentage - BEHIND_TOLERANCE);
+};
@@ -0,0 +1,83 @@
+// Share links: the schedule, roster and settings packed into the URL fragment, so a read-only
+// copy can be opened without a backend. The fragment is "#share=" plus deflated, base64url JSON.
+import { recalculateSchedule } from './scheduler.js';
+
+const SHARE_PREFIX = '#share=';
+const SHARE_VERSION = 1;
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+const pipeBytes = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+// Rotations keep only their times and, per player, the roster index and position;
+// everything else is recalculated when the link is opened
+const packSchedule = (rotationSchedule, players) => {
+  const index = new Map(players.map((player, idx) => [player.name, idx]));
+  return rotationSchedule.rotations.map(periodRotations => periodRotations.map(rotation => [
+    rotation.startTime,
+    rotation.endTime,
+    rotation.players.map(player => (player.position ? [index.get(player.name), player.position] : [index.get(player.name)]))
+  ]));
+};
+
+const unpackSchedule = (packed, players) =>
+  packed.map((periodRotations, period) => periodRotations.map(([startTime, endTime, lineup], idx) => ({
+    period: period + 1,
+    rotationNumber: idx + 1,
+    players: lineup.map(([playerIdx, position]) => (position ? { ...players[playerIdx], position } : { ...players[playerIdx] })),
+    startTime,
+    endTime,
+    durationMinutes: (endTime - startTime) / 60,
+    gameMinute: Math.floor(startTime / 60)
+  })));
+
+// Encode a schedule for sharing. Player notes stay private, so they are left out.
+export const encodeShareLink = async ({ teamName, rotationSchedule, players, absences = [] }) => {
+  const { rotationDuration, optimal, isUsingOptimalDuration } = rotationSchedule.stats;
+  // The whole roster, since players who sit the game out still appear in the player times, plus anyone
+  // removed from the roster after playing a part of the schedule
+  const scheduled = rotationSchedule.rotations.flat().flatMap(rotation => rotation.players);
+  const removed = scheduled.filter((player, idx) =>
+    !players.some(p => p.name === player.name) && scheduled.findIndex(p => p.name === player.name) === idx);
+  const roster = [...players, ...removed].map(({ name, skill, jersey, positions }) => ({ name, skill, jersey, positions }));
+  const payload = {
+    v: SHARE_VERSION,
+    teamName,
+    players: roster,
+    settings: rotationSchedule.settings,
+    stats: { rotationDuration, optimal, isUsingOptimalDuration },
+    rotations: packSchedule(rotationSchedule, roster),
+    absences
+  };
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  return SHARE_PREFIX + toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')));
+};
+
+export const isShareLink = (hash) => hash.startsWith(SHARE_PREFIX);
+
+// Decode a share fragment back into { teamName, players, rotationSchedule, absences }.
+// Throws when the fragment is damaged (e.g. cut off by a messaging app).
+export const decodeShareLink = async (hash) => {
+  const bytes = await pipeBytes(fromBase64Url(hash.slice(SHARE_PREFIX.length)), new DecompressionStream('deflate-raw'));
+  const payload = JSON.parse(new TextDecoder().decode(bytes));
+  if (payload.v !== SHARE_VERSION) throw new Error('This link was made by a different version of the app');
+
+  const { players, settings, stats, absences } = payload;
+  const rotationSchedule = recalculateSchedule(
+    { settings, stats },
+    unpackSchedule(payload.rotations, players),
+    players,
+    absences
+  );
+  return { teamName: payload.teamName, players, rotationSchedule, absences };
+};
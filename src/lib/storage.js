@@ -0,0 +1,62 @@
+// Small wrapper around localStorage so the app survives reloads.
+// All keys are namespaced and every value is stored as JSON.
+const STORAGE_PREFIX = 'rotation-manager';
+
+export const STORAGE_KEYS = {
+  roster: 'roster',
+  settings: 'settings',
+  game: 'game',
+  season: 'season',
+  presets: 'presets',
+  teams: 'teams',
+  syncRole: 'syncRole'
+};
+
+const storageKey = (key) => `${STORAGE_PREFIX}:${key}`;
+
+// Key of one team's copy of a value (roster, settings, game, season)
+export const teamKey = (teamId, key) => `team:${teamId}:${key}`;
+
+// Read a stored value, falling back when it is missing or unreadable
+export const loadState = (key, fallback = null) => {
+  try {
+    const raw = window.localStorage.getItem(storageKey(key));
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+export const saveState = (key, value) => {
+  try {
+    window.localStorage.setItem(storageKey(key), JSON.stringify(value));
+  } catch {
+    // Storage can be full or disabled (private mode) - the app still works without it
+  }
+};
+
+// Per-tab values (sessionStorage): they survive a reload but other tabs of the browser don't see them
+export const loadTabState = (key, fallback = null) => {
+  try {
+    const raw = window.sessionStorage.getItem(storageKey(key));
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+export const saveTabState = (key, value) => {
+  try {
+    window.sessionStorage.setItem(storageKey(key), JSON.stringify(value));
+  } catch {
+    // The tab forgets it on reload
+  }
+};
+
+export const clearState = (key) => {
+  try {
+    window.localStorage.removeItem(storageKey(key));
+  } catch {
+    // Nothing to clear
+  }
+};
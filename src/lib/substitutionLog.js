@@ -0,0 +1,115 @@
+// Actual substitutions made during a game, as opposed to the planned rotations.
+// The log is a list of { time, in: [names], out: [names], planned } entries in game seconds;
+// the first entry puts the starting lineup on at kickoff.
+
+const byTime = (log) => [...log].sort((a, b) => a.time - b.time);
+
+// Field after an entry; a name already on is kept once, so a repeated entry can't double a player
+const applyEntry = (onField, entry) => {
+  const stayOn = onField.filter(name => !entry.out.includes(name));
+  return [...stayOn, ...entry.in.filter((name, idx) => !stayOn.includes(name) && entry.in.indexOf(name) === idx)];
+};
+
+// Names on the field at a game time according to the log
+export const getActualLineup = (log, time) =>
+  byTime(log)
+    .filter(entry => entry.time <= time)
+    .reduce(applyEntry, []);
+
+// Entry putting the first planned lineup on the field
+export const createKickoffEntry = (rotationSchedule) => ({
+  time: 0,
+  in: rotationSchedule.rotations[0][0].players.map(p => p.name),
+  out: [],
+  planned: true
+});
+
+// The log with the kickoff entry added when nothing has been recorded yet
+export const withKickoffEntry = (rotationSchedule, log) =>
+  (log.length === 0 ? [createKickoffEntry(rotationSchedule)] : log);
+
+// The planned change to confirm at `time`: the current rotation when the field doesn't match it yet
+// (a late sub), otherwise the next one (an early sub). Returns { rotation, in, out } or null.
+export const getPlannedChange = (rotationSchedule, onField, time) => {
+  const rotations = rotationSchedule.rotations.flat();
+  const currentIdx = rotations.findIndex(rot => time >= rot.startTime && time < rot.endTime);
+  const candidates = currentIdx === -1 ? [] : rotations.slice(currentIdx, currentIdx + 2);
+
+  for (const rotation of candidates) {
+    const names = rotation.players.map(p => p.name);
+    const change = {
+      rotation,
+      in: names.filter(name => !onField.includes(name)),
+      out: onField.filter(name => !names.includes(name))
+    };
+    if (change.in.length > 0 || change.out.length > 0) return change;
+  }
+  return null;
+};
+
+// Seconds each player spent on the field up to `endTime`, in total and per period
+const getActualSeconds = (log, endTime, periodLength, periods) => {
+  const seconds = {};
+  const entries = byTime(log).filter(entry => entry.time < endTime);
+  let onField = [];
+
+  entries.forEach((entry, idx) => {
+    onField = applyEntry(onField, entry);
+    const until = idx + 1 < entries.length ? entries[idx + 1].time : endTime;
+    onField.forEach(name => {
+      if (!seconds[name]) seconds[name] = { total: 0, periods: Array(periods).fill(0) };
+      seconds[name].total += until - entry.time;
+      // A stint can run across a period end when the sub at the break wasn't confirmed
+      for (let period = 0; period < periods; period++) {
+        const overlap = Math.min(until, (period + 1) * periodLength) - Math.max(entry.time, period * periodLength);
+        if (overlap > 0) seconds[name].periods[period] += overlap;
+      }
+    });
+  });
+  return seconds;
+};
+
+// Planned seconds per player up to `endTime`, in total and per period
+const getPlannedSeconds = (rotationSchedule, endTime) => {
+  const seconds = {};
+  const periods = rotationSchedule.rotations.length;
+  rotationSchedule.rotations.flat().forEach(rotation => {
+    const played = Math.min(rotation.endTime, endTime) - rotation.startTime;
+    if (played <= 0) return;
+    rotation.players.forEach(({ name }) => {
+      if (!seconds[name]) seconds[name] = { total: 0, periods: Array(periods).fill(0) };
+      seconds[name].total += played;
+      seconds[name].periods[rotation.period - 1] += played;
+    });
+  });
+  return seconds;
+};
+
+// Planned against actual minutes per player and period, up to `endTime` (the whole game by default).
+// Returns { endTime, players: [{ name, planned, actual, difference, periods: [{ planned, actual }] }] }.
+export const comparePlannedToActual = (rotationSchedule, log, endTime = rotationSchedule.stats.totalGameTime * 60) => {
+  const { periodLength } = rotationSchedule.settings;
+  const periods = rotationSchedule.rotations.length;
+  const planned = getPlannedSeconds(rotationSchedule, endTime);
+  const actual = getActualSeconds(log, endTime, periodLength, periods);
+  const names = new Set([...Object.keys(rotationSchedule.stats.playerStats), ...Object.keys(actual)]);
+  const empty = { total: 0, periods: Array(periods).fill(0) };
+
+  return {
+    endTime,
+    players: Array.from(names).map(name => {
+      const plannedSeconds = planned[name] || empty;
+      const actualSeconds = actual[name] || empty;
+      return {
+        name,
+        planned: plannedSeconds.total / 60,
+        actual: actualSeconds.total / 60,
+        difference: (actualSeconds.total - plannedSeconds.total) / 60,
+        periods: plannedSeconds.periods.map((seconds, idx) => ({
+          planned: seconds / 60,
+          actual: actualSeconds.periods[idx] / 60
+        }))
+      };
+    }).sort((a, b) => a.difference - b.difference || a.name.localeCompare(b.name))
+  };
+};
@@ -0,0 +1,57 @@
+// Teams: each has its own roster, settings, game in progress and season ledger, stored under
+// team-scoped keys. The team list is stored as { teams: [{ id, name, defaultPresetId }], activeId }.
+import { loadState, saveState, clearState, teamKey, STORAGE_KEYS } from './storage.js';
+import { DEFAULT_PRESET_ID } from './presets.js';
+
+// Values every team keeps its own copy of
+const TEAM_DATA_KEYS = [STORAGE_KEYS.roster, STORAGE_KEYS.settings, STORAGE_KEYS.game, STORAGE_KEYS.season];
+
+// Skill scale a new team starts with, so its (empty) roster isn't treated as pre-rating data
+const NEW_TEAM_SETTINGS = { skillScale: 5 };
+
+export const createTeam = (name, defaultPresetId = DEFAULT_PRESET_ID) => ({
+  id: `team-${Date.now()}`,
+  name,
+  defaultPresetId
+});
+
+// Load the team list; the first time, the single-team data saved before teams becomes the first team
+export const loadTeams = () => {
+  const stored = loadState(STORAGE_KEYS.teams, null);
+  if (stored?.teams?.length > 0) return stored;
+
+  // The default preset used to be saved with the custom presets
+  const presets = loadState(STORAGE_KEYS.presets, null);
+  const team = createTeam('My Team', presets?.defaultId ?? DEFAULT_PRESET_ID);
+  TEAM_DATA_KEYS.forEach(key => {
+    const value = loadState(key);
+    if (value === null) return;
+    saveState(teamKey(team.id, key), value);
+    clearState(key);
+  });
+  if (presets) saveState(STORAGE_KEYS.presets, { custom: presets.custom || [] });
+
+  const teams = { teams: [team], activeId: team.id };
+  saveState(STORAGE_KEYS.teams, teams);
+  return teams;
+};
+
+// Start a new team's storage off clean, with the game format of its default preset
+export const initTeamData = (teamId, format = {}) => {
+  saveState(teamKey(teamId, STORAGE_KEYS.settings), { ...NEW_TEAM_SETTINGS, ...format });
+};
+
+export const clearTeamData = (teamId) => {
+  TEAM_DATA_KEYS.forEach(key => clearState(teamKey(teamId, key)));
+};
+
+// Add a copy of a player to another team's roster (e.g. when they play up an age group), with the
+// rating capped to that team's skill scale. Returns false when the team already has a player with the name.
+export const copyPlayerToTeam = (teamId, player) => {
+  const key = teamKey(teamId, STORAGE_KEYS.roster);
+  const roster = loadState(key, []);
+  if (roster.some(p => p.name === player.name)) return false;
+  const { skillScale } = loadState(teamKey(teamId, STORAGE_KEYS.settings), NEW_TEAM_SETTINGS);
+  saveState(key, [...roster, { ...player, skill: Math.min(player.skill, skillScale ?? player.skill) }]);
+  return true;
+};
@@ -0,0 +1,46 @@
+// On-field intervals per player, for the bench sheet and the timeline view.
+
+// Pair a player's in/out substitutions (from playerStats.substitutionTimes) into stints:
+// [{ period, start, end }], `end` null when the out is missing
+export const getStints = (substitutionTimes) => {
+  const stints = [];
+  substitutionTimes.forEach(sub => {
+    if (sub.type === 'in') {
+      stints.push({ period: sub.period, start: sub.time, end: null });
+    } else if (stints.length > 0) {
+      stints[stints.length - 1].end = sub.time;
+    }
+  });
+  return stints;
+};
+
+// Split a stint where the player's position changes: [{ start, end, position }]
+export const getPositionSegments = (rotationSchedule, playerName, stint) => {
+  const segments = [];
+  rotationSchedule.rotations.flat()
+    .filter(rotation => rotation.startTime >= stint.start && rotation.endTime <= stint.end)
+    .forEach(rotation => {
+      const position = rotation.players.find(p => p.name === playerName)?.position ?? null;
+      const last = segments.at(-1);
+      if (last && last.position === position && last.end === rotation.startTime) {
+        last.end = rotation.endTime;
+      } else {
+        segments.push({ start: rotation.startTime, end: rotation.endTime, position });
+      }
+    });
+  return segments;
+};
+
+const POSITION_COLORS = ['#2563eb', '#16a34a', '#d97706', '#9333ea', '#dc2626', '#0891b2', '#db2777', '#65a30d'];
+
+// Bar color for a position, in the order the lineup template lists them
+export const getPositionColor = (position, positionTemplate) => {
+  const idx = positionTemplate.findIndex(slot => slot.position === position);
+  return idx === -1 ? '#6b7280' : POSITION_COLORS[idx % POSITION_COLORS.length];
+};
+
+// Bar color for a skill rating: darker is stronger
+export const getSkillColor = (skill, skillScale) => {
+  const ratio = skillScale > 1 ? Math.min(1, Math.max(0, (skill - 1) / (skillScale - 1))) : 1;
+  return `hsl(217, 80%, ${Math.round(80 - ratio * 45)}%)`;
+};
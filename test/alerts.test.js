@@ -0,0 +1,28 @@
+// File: test/alerts.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateRotations } from '../src/lib/scheduler.js';
+import { getDueAlerts, getChangeDueAtStop } from '../src/lib/alerts.js';
+
+const players = 'ABCDEFGHIJ'.split('').map((name, i) => ({ name, skill: 1 + (i % 5) }));
+const schedule = generateRotations(players, 5, 2, 600);
+const [, second] = schedule.rotations[0];
+
+test('alerts before and at each change the clock passes', () => {
+  const alerts = getDueAlerts(schedule, 0, second.startTime, [30, 0]);
+
+  assert.deepEqual(alerts.map(alert => [alert.time, alert.offset]), [[second.startTime - 30, 30], [second.startTime, 0]]);
+  assert.deepEqual(getDueAlerts(schedule, second.startTime, second.startTime + 10, [30, 0]), []);
+});
+
+test('a stopped clock calls the change that came due while it ran', () => {
+  assert.equal(getChangeDueAtStop(schedule, 0, second.startTime + 23), second);
+  assert.equal(getChangeDueAtStop(schedule, 0, second.startTime - 1), null);
+  // Made at an earlier stop already
+  assert.equal(getChangeDueAtStop(schedule, second.startTime, second.startTime + 40), null);
+});
+
+test('a new period starts with its own lineup rather than a change', () => {
+  assert.equal(getChangeDueAtStop(schedule, 500, 600), null);
+  assert.equal(getChangeDueAtStop(schedule, 600, 600 + second.startTime + 5), schedule.rotations[1][1]);
+});
@@ -0,0 +1,23 @@
+// File: test/format.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatTime, parseTime, parseTimeList } from '../src/lib/format.js';
+
+test('reads m:ss and bare minutes', () => {
+  assert.equal(parseTime('4:30'), 270);
+  assert.equal(parseTime(' 20 '), 1200);
+  assert.equal(parseTime('4:75'), null);
+  assert.equal(formatTime(270), '4:30');
+});
+
+test('reads a list of set times inside the period', () => {
+  assert.deepEqual(parseTimeList('4:00, 7:30', 600), { times: [240, 450], error: null });
+  assert.deepEqual(parseTimeList('', 600), { times: [], error: null });
+});
+
+test('rejects set times that are unreadable or outside the period', () => {
+  assert.equal(parseTimeList('4:00, 12:30', 600).error, '12:30: not inside the 10:00 period');
+  assert.equal(parseTimeList('10', 600).error, '10: not inside the 10:00 period');
+  assert.equal(parseTimeList('4:00, soon', 600).error, 'soon: not a time (m:ss or whole minutes)');
+  assert.deepEqual(parseTimeList('4:00, 12:30', 600).times, []);
+});
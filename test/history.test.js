@@ -0,0 +1,48 @@
+// File: test/history.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHistory, recordAction, undoAction, redoAction } from '../src/lib/history.js';
+
+test('repeats of one action close together undo as one', () => {
+  let history = createHistory();
+  history = recordAction(history, 'Periods', { periods: 4 }, 0);
+  history = recordAction(history, 'Periods', { periods: 5 }, 1000);
+  history = recordAction(history, 'Periods', { periods: 6 }, 2000);
+
+  assert.equal(history.past.length, 1);
+  assert.deepEqual(history.past[0].snapshot, { periods: 4 });
+});
+
+test('the same action after a pause, or a different one, is a new entry', () => {
+  let history = createHistory();
+  history = recordAction(history, 'Periods', { periods: 4 }, 0);
+  history = recordAction(history, 'Periods', { periods: 5 }, 5000);
+  history = recordAction(history, 'Players on field', { periods: 6 }, 5100);
+
+  assert.deepEqual(history.past.map(entry => entry.snapshot.periods), [4, 5, 6]);
+});
+
+test('keeps only the 50 most recent actions', () => {
+  let history = createHistory();
+  for (let i = 0; i < 60; i++) history = recordAction(history, `Add player ${i}`, { count: i }, i);
+
+  assert.equal(history.past.length, 50);
+  assert.equal(history.past[0].snapshot.count, 10);
+  assert.equal(history.past.at(-1).snapshot.count, 59);
+});
+
+test('undo and redo trade snapshots, and a new action clears redo', () => {
+  let history = recordAction(createHistory(), 'Add Ana', { players: [] }, 0);
+  const undone = undoAction(history, { players: ['Ana'] });
+
+  assert.deepEqual(undone.snapshot, { players: [] });
+  assert.deepEqual(undone.history.future[0].snapshot, { players: ['Ana'] });
+
+  const redone = redoAction(undone.history, { players: [] });
+  assert.deepEqual(redone.snapshot, { players: ['Ana'] });
+  assert.equal(redone.history.past.length, 1);
+
+  history = recordAction(undone.history, 'Add Ben', { players: [] }, 10000);
+  assert.deepEqual(history.future, []);
+  assert.equal(undoAction(createHistory(), {}), null);
+});
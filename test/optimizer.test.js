@@ -0,0 +1,36 @@
+// File: test/optimizer.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateRotations } from '../src/lib/scheduler.js';
+import { optimizeSchedule, scoreSchedule } from '../src/lib/optimizer.js';
+
+const makePlayers = (names) => names.split('').map((name, i) => ({ name, skill: 1 + (i % 5) }));
+const startTimes = (schedule) => schedule.rotations.flat().map(rotation => rotation.startTime);
+
+test('never returns a schedule scoring worse than the one it was given', async () => {
+  const players = makePlayers('ABCDEFG');
+  const greedy = generateRotations(players, 5, 4, 600);
+  const progress = [];
+  const optimized = await optimizeSchedule(greedy, players, { timeBudget: 200, onProgress: (share) => progress.push(share) });
+
+  assert.ok(optimized.score.total <= scoreSchedule(greedy).total);
+  assert.ok(optimized.iterations > 0);
+  progress.forEach(share => assert.ok(share >= 0 && share <= 1));
+});
+
+test('keeps the substitution times of a rotation length the coach set', async () => {
+  const players = makePlayers('ABCDEFG');
+  const greedy = generateRotations(players, 5, 4, 600, 300);
+  const optimized = await optimizeSchedule(greedy, players, { timeBudget: 200 });
+
+  assert.deepEqual(startTimes(optimized.schedule), startTimes(greedy));
+});
+
+test('keeps substitutions on set times', async () => {
+  const players = makePlayers('ABCDEFG');
+  const substitutionWindows = { mode: 'times', times: [[240, 450]] };
+  const greedy = generateRotations(players, 5, 2, 600, null, { substitutionWindows });
+  const optimized = await optimizeSchedule(greedy, players, { timeBudget: 200 });
+
+  assert.deepEqual(startTimes(optimized.schedule), startTimes(greedy));
+});
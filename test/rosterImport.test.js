@@ -0,0 +1,46 @@
+// File: test/rosterImport.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRoster, getImportablePlayers } from '../src/lib/rosterImport.js';
+
+test('reads columns from a header row in any order', () => {
+  const text = 'Player,#,Rating,Pos,Notes\nAna,7,4,GK/DEF,"Captain, left foot"\nBen,12,2,fwd,';
+  const { rows, hasHeader } = parseRoster(text);
+
+  assert.equal(hasHeader, true);
+  assert.deepEqual(rows.map(row => row.player), [
+    { name: 'Ana', skill: 4, jersey: 7, positions: ['GK', 'DEF'], notes: 'Captain, left foot' },
+    { name: 'Ben', skill: 2, jersey: 12, positions: ['FWD'] }
+  ]);
+});
+
+test('reads tab-separated rows without a header in the default column order', () => {
+  const { rows, hasHeader } = parseRoster('Ana\t7\t3\nBen\t9\t5', { skillScale: 5 });
+
+  assert.equal(hasHeader, false);
+  assert.deepEqual(rows.map(row => [row.player.name, row.player.jersey, row.player.skill]), [['Ana', 7, 3], ['Ben', 9, 5]]);
+});
+
+test('treats a plain list of names as names with the middle skill', () => {
+  const { rows } = parseRoster('Ana, Ben\nCal', { skillScale: 10 });
+
+  assert.deepEqual(rows.map(row => row.player), [
+    { name: 'Ana', skill: 5 },
+    { name: 'Ben', skill: 5 },
+    { name: 'Cal', skill: 5 }
+  ]);
+});
+
+test('flags bad values and duplicates, and leaves those rows out of the import', () => {
+  const text = 'name,jersey,skill\nAna,x,3\nBen,4,9\nCal,4,2\nCal,5,2\nDee,6,1\n,8,1';
+  const { rows } = parseRoster(text, { existingPlayers: [{ name: 'Dee', skill: 1 }] });
+
+  assert.deepEqual(rows[0].errors, ['Jersey number "x" is not a number']);
+  assert.deepEqual(rows[1].errors, ['Skill "9" is outside 1-5']);
+  assert.deepEqual(rows[2].warnings, ['Jersey #4 is already used']);
+  assert.equal(rows[3].duplicate, 'import');
+  assert.equal(rows[4].duplicate, 'roster');
+  assert.deepEqual(rows[5].errors, ['Missing name']);
+  assert.equal(rows[5].lineNumber, 7);
+  assert.deepEqual(getImportablePlayers(rows).map(p => p.name), ['Cal']);
+});
@@ -0,0 +1,80 @@
+// File: test/scheduler.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateRotations, checkConstraints, EMPTY_CONSTRAINTS } from '../src/lib/scheduler.js';
+
+const makePlayers = (names) => names.split('').map((name, i) => ({ name, skill: 1 + (i % 5) }));
+const lineups = (rotations) => rotations.flat().map(rotation => rotation.players.map(p => p.name));
+
+test('splits minutes evenly when the roster divides the game', () => {
+  const { rotations, stats, violations } = generateRotations(makePlayers('ABCDEFGHIJ'), 5, 4, 600);
+
+  assert.equal(stats.maxTimeDifference, 0);
+  assert.deepEqual(violations, []);
+  lineups(rotations).forEach(lineup => assert.equal(new Set(lineup).size, 5));
+});
+
+test('keeps minutes within one rotation of each other on an uneven roster', () => {
+  for (const mode of ['line', 'rolling']) {
+    const { stats } = generateRotations(makePlayers('ABCDEFG'), 5, 4, 600, null, { substitutionMode: mode });
+    const minutes = Object.values(stats.playerStats).map(s => s.totalMinutes);
+    assert.ok(Math.max(...minutes) - Math.min(...minutes) <= 5, `${mode}: ${minutes.join(', ')}`);
+  }
+});
+
+test('meets keep-apart and keep-together rules', () => {
+  const constraints = { ...EMPTY_CONSTRAINTS, keepApart: [['A', 'B']], keepTogether: [['C', 'D']] };
+  const { rotations, violations } = generateRotations(makePlayers('ABCDEFG'), 5, 4, 600, null, { constraints });
+
+  assert.deepEqual(violations, []);
+  lineups(rotations).forEach(lineup => {
+    assert.ok(!(lineup.includes('A') && lineup.includes('B')));
+    assert.equal(lineup.includes('C'), lineup.includes('D'));
+  });
+});
+
+test('reports rules the schedule breaks', () => {
+  const { rotations, settings } = generateRotations(makePlayers('ABCDEFGHIJ'), 5, 2, 600);
+  const together = rotations.flat()[0].players.map(p => p.name);
+  const constraints = { ...EMPTY_CONSTRAINTS, keepApart: [[together[0], together[1]]] };
+  const violations = checkConstraints(rotations, constraints, { periodLength: 600, rotationDuration: settings.rotationDuration });
+
+  assert.equal(violations.length, 1);
+  assert.equal(violations[0].type, 'keepApart');
+  assert.ok(violations[0].rotations.includes('P1 R1'));
+});
+
+test('ignores rules for players no longer on the roster', () => {
+  const players = makePlayers('ABCDEFGHIJ');
+  const { rotations } = generateRotations(players, 5, 2, 600);
+  const [first, second] = rotations.flat()[0].players.map(p => p.name);
+  const constraints = { ...EMPTY_CONSTRAINTS, keepApart: [[first, second]] };
+  const roster = players.filter(p => p.name !== second);
+
+  assert.deepEqual(checkConstraints(rotations, constraints, { periodLength: 600, players: roster }), []);
+});
+
+test('plans late arrivals and early leavers only while they are there', () => {
+  const availability = { A: { from: 1200, to: null }, B: { from: 0, to: 1200 } };
+  const { rotations, stats } = generateRotations(makePlayers('ABCDEFGHIJ'), 5, 4, 600, null, { availability });
+
+  rotations.flat().forEach(rotation => {
+    const names = rotation.players.map(p => p.name);
+    if (rotation.startTime < 1200) assert.ok(!names.includes('A'));
+    if (rotation.endTime > 1200) assert.ok(!names.includes('B'));
+  });
+  assert.ok(stats.playerStats.A.totalMinutes > 0);
+  assert.ok(stats.playerStats.B.totalMinutes > 0);
+});
+
+test('gives the only other keeper a fair share when positions are scarce', () => {
+  const players = [
+    ['Ana', ['GK']], ['Ben', ['DEF']], ['Cal', ['FWD']], ['Dee', ['DEF']],
+    ['Eve', ['FWD']], ['Fay', []], ['Gus', []], ['Hal', ['GK']]
+  ].map(([name, positions], i) => ({ name, skill: 1 + (i % 5), positions }));
+  const positionTemplate = [{ position: 'GK', count: 1 }, { position: 'DEF', count: 2 }, { position: 'FWD', count: 2 }];
+  const { stats } = generateRotations(players, 5, 4, 600, null, { positionTemplate });
+
+  assert.ok(stats.maxTimeDifference <= 10, `spread ${stats.maxTimeDifference}`);
+  assert.ok(stats.playerStats.Hal.totalMinutes >= 20);
+});
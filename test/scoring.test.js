@@ -0,0 +1,55 @@
+// File: test/scoring.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateRotations } from '../src/lib/scheduler.js';
+import { createScoringEvent, getScore, getPlayerPlusMinus, getLineupPlusMinus, rankRotations } from '../src/lib/scoring.js';
+
+const makePlayers = (names) => names.split('').map((name, i) => ({ name, skill: 1 + (i % 5) }));
+const names = (rotation) => rotation.players.map(p => p.name);
+
+test('ties a score to the rotation and the players really on the field', () => {
+  const schedule = generateRotations(makePlayers('ABCDEFGHIJ'), 5, 2, 600);
+  const [first, second] = schedule.rotations[0];
+  const log = [{ time: 0, in: names(first), out: [], planned: true }];
+  // The planned change at second.startTime hasn't been made yet
+  const event = createScoringEvent(schedule, log, second.startTime + 10, 'us', 2);
+
+  assert.equal(event.period, 1);
+  assert.equal(event.rotation, 2);
+  assert.deepEqual(event.onField, names(first));
+});
+
+test('a score on the final whistle belongs to the last rotation', () => {
+  const schedule = generateRotations(makePlayers('ABCDEFGHIJ'), 5, 2, 600);
+  const last = schedule.rotations.flat().at(-1);
+  const event = createScoringEvent(schedule, [], 1200, 'them', 1);
+
+  assert.equal(event.rotation, last.rotationNumber);
+  assert.deepEqual(event.onField, names(last));
+});
+
+test('adds up the score and plus/minus per player and lineup', () => {
+  const events = [
+    { team: 'us', points: 2, onField: ['A', 'B'] },
+    { team: 'them', points: 3, onField: ['B', 'C'] },
+    { team: 'us', points: 1, onField: ['B', 'A'] }
+  ];
+
+  assert.deepEqual(getScore(events), { us: 3, them: 3 });
+  assert.deepEqual(getPlayerPlusMinus(events).map(p => [p.name, p.plusMinus]), [['A', 3], ['B', 0], ['C', -3]]);
+  assert.deepEqual(getLineupPlusMinus(events).map(l => [l.players.join(''), l.pointsFor, l.pointsAgainst]), [['AB', 3, 0], ['BC', 0, 3]]);
+});
+
+test('ranks only the rotations played so far', () => {
+  const schedule = generateRotations(makePlayers('ABCDEFGHIJ'), 5, 2, 600);
+  const [first, second] = schedule.rotations[0];
+  const events = [
+    { team: 'them', points: 1, period: 1, rotation: 1 },
+    { team: 'us', points: 2, period: 1, rotation: 2 }
+  ];
+  const ranked = rankRotations(schedule, events, second.startTime + 60);
+
+  assert.deepEqual(ranked.map(entry => entry.rotation), [second, first]);
+  assert.equal(ranked[0].minutes, 1);
+  assert.equal(ranked[1].plusMinus, -1);
+});
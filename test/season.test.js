@@ -0,0 +1,68 @@
+// File: test/season.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateRotations } from '../src/lib/scheduler.js';
+import { createSeasonGame, summarizeSeason, getPlayersBehind } from '../src/lib/season.js';
+
+const makePlayers = (names) => names.split('').map((name, i) => ({ name, skill: 1 + (i % 5) }));
+const names = (rotation) => rotation.players.map(p => p.name);
+
+test('records the minutes actually played, not the plan', () => {
+  const players = makePlayers('ABCDEFGHIJ');
+  const schedule = generateRotations(players, 5, 1, 600);
+  const [first, second] = schedule.rotations[0];
+  // The first lineup stays on a minute past the planned change
+  const log = [
+    { time: 0, in: names(first), out: [], planned: true },
+    { time: second.startTime + 60, in: names(second), out: names(first), planned: true }
+  ];
+  const game = createSeasonGame(schedule, players, log);
+
+  assert.equal(game.totalMinutes, 10);
+  assert.equal(game.players[names(first)[0]].minutes, 6);
+  assert.equal(game.players[names(second)[0]].minutes, 4);
+  assert.equal(game.players[names(first)[0]].availableMinutes, 10);
+});
+
+test('a game saved halfway counts only the time played', () => {
+  const players = makePlayers('ABCDEFGHIJ');
+  const schedule = generateRotations(players, 5, 2, 600);
+  const game = createSeasonGame(schedule, players, [], { endTime: 300 });
+  const starter = names(schedule.rotations[0][0])[0];
+
+  assert.equal(game.totalMinutes, 5);
+  assert.equal(game.players[starter].minutes, 5);
+  Object.values(game.players).forEach(record => assert.equal(record.availableMinutes, 5));
+});
+
+test('a game that has not started records no minutes', () => {
+  const players = makePlayers('ABCDEFGHIJ');
+  const schedule = generateRotations(players, 5, 2, 600);
+  const game = createSeasonGame(schedule, players, [], { endTime: 0 });
+
+  Object.values(game.players).forEach(record => assert.deepEqual(record, { minutes: 0, availableMinutes: 0 }));
+});
+
+test('sums the season and finds the players behind on their share', () => {
+  const games = [
+    { players: { Ana: { minutes: 20, availableMinutes: 40 }, Ben: { minutes: 10, availableMinutes: 40 }, Cal: { minutes: 0, availableMinutes: 0 } } },
+    { players: { Ana: { minutes: 20, availableMinutes: 40 }, Ben: { minutes: 10, availableMinutes: 40 }, Cal: { minutes: 20, availableMinutes: 40 } } }
+  ];
+  const summary = summarizeSeason(games);
+
+  assert.deepEqual(summary.Ana, { games: 2, minutes: 40, availableMinutes: 80, percentage: 50 });
+  assert.equal(summary.Cal.games, 1);
+  assert.equal(summary.Cal.percentage, 50);
+  assert.deepEqual(getPlayersBehind(summary, ['Ana', 'Ben', 'Cal']), ['Ben']);
+});
+
+test('takes overlapping absences off a player\'s available time once', () => {
+  const players = makePlayers('ABCDEFGHIJ');
+  const availability = { A: { from: 0, to: 1200 } };
+  const schedule = generateRotations(players, 5, 4, 600, null, { availability });
+  // Marked out at 15:00, before the planned 20:00 departure
+  const game = createSeasonGame(schedule, players, [], { absences: [{ name: 'A', from: 900, to: null }] });
+
+  assert.equal(game.players.A.availableMinutes, 15);
+  assert.equal(game.players.B.availableMinutes, 40);
+});
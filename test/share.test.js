@@ -0,0 +1,49 @@
+// File: test/share.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateRotations } from '../src/lib/scheduler.js';
+import { encodeShareLink, decodeShareLink, isShareLink } from '../src/lib/share.js';
+
+const players = [
+  { name: 'Ana', skill: 4, jersey: 7, positions: ['GK'], notes: 'Asthma inhaler in bag' },
+  ...'BCDEFGHI'.split('').map((name, i) => ({ name, skill: 1 + (i % 5) }))
+];
+const lineups = (schedule) => schedule.rotations.flat().map(rotation => rotation.players.map(p => p.name));
+
+test('a schedule survives the share link round trip', async () => {
+  const schedule = generateRotations(players, 5, 2, 600);
+  const absences = [{ name: 'C', from: 300, to: null }];
+  const hash = await encodeShareLink({ teamName: 'Hawks', rotationSchedule: schedule, players, absences });
+  const shared = await decodeShareLink(hash);
+
+  assert.ok(isShareLink(hash));
+  assert.equal(shared.teamName, 'Hawks');
+  assert.deepEqual(shared.absences, absences);
+  assert.deepEqual(lineups(shared.rotationSchedule), lineups(schedule));
+  assert.deepEqual(shared.rotationSchedule.settings, schedule.settings);
+  assert.equal(shared.rotationSchedule.stats.maxTimeDifference, schedule.stats.maxTimeDifference);
+});
+
+test('leaves private notes out of the link', async () => {
+  const schedule = generateRotations(players, 5, 2, 600);
+  const shared = await decodeShareLink(await encodeShareLink({ teamName: 'Hawks', rotationSchedule: schedule, players }));
+
+  assert.deepEqual(shared.players[0], { name: 'Ana', skill: 4, jersey: 7, positions: ['GK'] });
+});
+
+test('keeps players removed from the roster after they were scheduled', async () => {
+  const schedule = generateRotations(players, 5, 2, 600);
+  const removed = schedule.rotations[0][0].players[0].name;
+  const roster = players.filter(p => p.name !== removed);
+  const shared = await decodeShareLink(await encodeShareLink({ teamName: 'Hawks', rotationSchedule: schedule, players: roster }));
+
+  assert.deepEqual(lineups(shared.rotationSchedule), lineups(schedule));
+  assert.ok(shared.players.some(p => p.name === removed));
+});
+
+test('rejects a link that was cut off', async () => {
+  const schedule = generateRotations(players, 5, 2, 600);
+  const hash = await encodeShareLink({ teamName: 'Hawks', rotationSchedule: schedule, players });
+
+  await assert.rejects(decodeShareLink(hash.slice(0, hash.length / 2)));
+});
@@ -0,0 +1,68 @@
+// File: test/substitutionLog.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateRotations } from '../src/lib/scheduler.js';
+import { getActualLineup, withKickoffEntry, getPlannedChange, comparePlannedToActual } from '../src/lib/substitutionLog.js';
+
+const makePlayers = (names) => names.split('').map((name, i) => ({ name, skill: 1 + (i % 5) }));
+const names = (rotation) => rotation.players.map(p => p.name);
+
+test('lists each player on the field once', () => {
+  const log = [
+    { time: 0, in: ['A', 'B', 'C'], out: [], planned: true },
+    { time: 0, in: ['A', 'B', 'C'], out: [], planned: true },
+    { time: 60, in: ['D', 'D'], out: ['A'], planned: false }
+  ];
+
+  assert.deepEqual(getActualLineup(log, 30), ['A', 'B', 'C']);
+  assert.deepEqual(getActualLineup(log, 60), ['B', 'C', 'D']);
+});
+
+test('confirming a sub before the first start changes only the players coming off', () => {
+  const schedule = generateRotations(makePlayers('ABCDEFGHIJ'), 5, 2, 600);
+  const [first, second] = schedule.rotations[0];
+  const log = withKickoffEntry(schedule, []);
+  const change = getPlannedChange(schedule, getActualLineup(log, 0), 0);
+
+  assert.equal(change.rotation, second);
+  assert.deepEqual([...change.in].sort(), names(second).filter(name => !names(first).includes(name)).sort());
+
+  const confirmed = [...log, { time: 0, in: change.in, out: change.out, planned: true }];
+  assert.deepEqual([...getActualLineup(confirmed, 0)].sort(), [...names(second)].sort());
+});
+
+test('matches the plan when every sub is confirmed on time', () => {
+  const schedule = generateRotations(makePlayers('ABCDEFGHIJ'), 5, 2, 600);
+  const log = schedule.rotations.flat().reduce((entries, rotation) => {
+    const onField = getActualLineup(entries, rotation.startTime);
+    return [...entries, {
+      time: rotation.startTime,
+      in: names(rotation).filter(name => !onField.includes(name)),
+      out: onField.filter(name => !names(rotation).includes(name)),
+      planned: true
+    }];
+  }, []);
+  const report = comparePlannedToActual(schedule, log);
+
+  assert.equal(report.endTime, 1200);
+  report.players.forEach(player => {
+    assert.equal(player.actual, player.planned, player.name);
+    assert.equal(player.difference, 0);
+  });
+});
+
+test('counts a late sub against the players who stayed on', () => {
+  const schedule = generateRotations(makePlayers('ABCDEFGHIJ'), 5, 1, 600);
+  const [first, second] = schedule.rotations[0];
+  const late = second.startTime + 60;
+  const log = [
+    withKickoffEntry(schedule, [])[0],
+    { time: late, in: names(second), out: names(first), planned: true }
+  ];
+  const report = comparePlannedToActual(schedule, log);
+  const stayedOn = report.players.find(p => p.name === names(first)[0]);
+  const cameOnLate = report.players.find(p => p.name === names(second)[0]);
+
+  assert.equal(stayedOn.difference, 1);
+  assert.equal(cameOnLate.difference, -1);
+});
@@ -0,0 +1,43 @@
+// File: test/teams.test.js
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadState, teamKey, STORAGE_KEYS } from '../src/lib/storage.js';
+import { createTeam, initTeamData } from '../src/lib/teams.js';
+import { createPreset, getDefaultFormat, findPreset, BUILT_IN_PRESETS } from '../src/lib/presets.js';
+
+// Just enough localStorage for the storage helpers
+beforeEach(() => {
+  const items = new Map();
+  globalThis.window = {
+    localStorage: {
+      getItem: (key) => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: (key) => items.delete(key)
+    }
+  };
+});
+
+test('a new team starts with the game format of its default preset', () => {
+  const hockey = findPreset(BUILT_IN_PRESETS, 'hockey-3-lines');
+  const team = createTeam('Hawks', hockey.id);
+  initTeamData(team.id, getDefaultFormat([], team.defaultPresetId));
+  const settings = loadState(teamKey(team.id, STORAGE_KEYS.settings));
+
+  assert.equal(team.defaultPresetId, 'hockey-3-lines');
+  assert.equal(settings.periods, 3);
+  assert.equal(settings.periodLength, 720);
+  assert.equal(settings.rotationDuration, 90);
+  assert.deepEqual(settings.positionTemplate, hockey.settings.positionTemplate);
+  assert.equal(settings.skillScale, 5);
+});
+
+test('the default format follows a custom default preset', () => {
+  const custom = createPreset('Saturday league', { ...BUILT_IN_PRESETS[0].settings, periods: 2, periodLength: 1200 });
+
+  assert.equal(getDefaultFormat([custom], custom.id).periods, 2);
+  assert.equal(getDefaultFormat([custom], custom.id).periodLength, 1200);
+});
+
+test('a deleted default preset falls back to the standard format', () => {
+  assert.deepEqual(getDefaultFormat([], 'custom-gone'), findPreset(BUILT_IN_PRESETS, 'standard').settings);
+});
@@ -1,8 +1,33 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Installable and offline: the service worker precaches the whole build, and asks
+    // before switching to a newly deployed one (see src/components/UpdatePrompt.jsx)
+    VitePWA({
+      registerType: 'prompt',
+      includeAssets: ['apple-touch-icon.png'],
+      manifest: {
+        name: 'Rotation Manager',
+        short_name: 'Rotations',
+        description: 'Fair playing time rotations and a game clock for youth sports',
+        theme_color: '#2563eb',
+        background_color: '#f9fafb',
+        display: 'standalone',
+        icons: [
+          { src: 'pwa-192x192.png', sizes: '192x192', type: 'image/png' },
+          { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png' },
+          { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' }
+        ]
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,svg,png}']
+      }
+    })
+  ],
   base: '/rotation-manager/'  // This matches your repository name
 })